@@ -0,0 +1,131 @@
+// Local Server-Sent Events server for trying out live updates without the
+// real backend. Start it with `npm run events` and build or run the app with
+// VITE_API_EVENTS_URL=http://localhost:5001/events.
+//
+//   GET  /events?token=...   the event stream (any non-empty token is accepted)
+//   POST /events             broadcast { "type": ..., "data": {...} } to every client
+//
+// For example:
+//
+//   curl -X POST localhost:5001/events -d '{"type":"stats.updated","data":{}}'
+//
+// With --demo it also sends a made-up analysis.completed and stats.updated
+// every DEMO_INTERVAL seconds.
+
+import http from 'node:http'
+
+const PORT = Number(process.env.EVENT_SERVER_PORT || 5001)
+const DEMO_INTERVAL = Number(process.env.DEMO_INTERVAL || 15)
+const HEARTBEAT_MS = 15 * 1000
+const STRESS_LEVELS = ['healthy', 'moderate', 'severe']
+
+const clients = new Set()
+
+function send(client, type, data) {
+  client.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+function broadcast(type, data) {
+  for (const client of clients) send(client, type, data)
+  console.log(`-> ${type} to ${clients.size} client(s)`)
+}
+
+function corsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', (chunk) => {
+      body += chunk
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`)
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders())
+    res.end()
+    return
+  }
+
+  if (url.pathname !== '/events') {
+    res.writeHead(404, { ...corsHeaders(), 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ error: 'Not found' }))
+    return
+  }
+
+  if (req.method === 'GET') {
+    if (!url.searchParams.get('token')) {
+      res.writeHead(401, { ...corsHeaders(), 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: 'Missing token' }))
+      return
+    }
+    res.writeHead(200, {
+      ...corsHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    })
+    res.write('retry: 5000\n\n')
+    clients.add(res)
+    console.log(`Client connected (${clients.size} open)`)
+    req.on('close', () => {
+      clients.delete(res)
+      console.log(`Client disconnected (${clients.size} open)`)
+    })
+    return
+  }
+
+  if (req.method === 'POST') {
+    try {
+      const { type, data = {} } = JSON.parse(await readBody(req))
+      if (!type) throw new Error('type is required')
+      broadcast(type, data)
+      res.writeHead(202, { ...corsHeaders(), 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ sent: clients.size }))
+    } catch (err) {
+      res.writeHead(400, { ...corsHeaders(), 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: err.message }))
+    }
+    return
+  }
+
+  res.writeHead(405, corsHeaders())
+  res.end()
+})
+
+// Comment lines keep proxies from closing idle streams
+setInterval(() => {
+  for (const client of clients) client.write(': ping\n\n')
+}, HEARTBEAT_MS)
+
+if (process.argv.includes('--demo')) {
+  let nextImageId = 100000
+  setInterval(() => {
+    const stressLevel = STRESS_LEVELS[Math.floor(Math.random() * STRESS_LEVELS.length)]
+    broadcast('analysis.completed', {
+      image: {
+        id: nextImageId++,
+        field_id: null,
+        filename: 'demo.jpg',
+        uploaded_at: new Date().toISOString(),
+        analysis: { status: 'completed', stress_level: stressLevel, confidence: 0.9 },
+      },
+    })
+    broadcast('stats.updated', {})
+  }, DEMO_INTERVAL * 1000)
+}
+
+server.listen(PORT, () => {
+  console.log(`Event server listening on http://localhost:${PORT}/events`)
+})
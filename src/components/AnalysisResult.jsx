@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Switch } from '@/components/ui/switch.jsx'
+import { AlertTriangle, Loader2, MapPin } from 'lucide-react'
+import StressBadge from '@/components/StressBadge.jsx'
+import { useImageAnalysis } from '@/hooks/use-image-analysis'
+import { STRESS_LEVELS, STRESS_META, formatConfidence } from '@/lib/stress'
+
+// Known classes first, then any others the model reports
+function scoreRows(scores) {
+  const levels = [...STRESS_LEVELS, ...Object.keys(scores).filter((key) => !STRESS_LEVELS.includes(key))]
+  return levels
+    .filter((level) => scores[level] != null)
+    .map((level) => ({
+      level,
+      label: STRESS_META[level]?.label || level,
+      color: STRESS_META[level]?.color || '#6b7280',
+      value: scores[level],
+    }))
+}
+
+// Analysis of an uploaded photo as returned by the upload endpoint: the image,
+// predicted stress class, confidence, per-class scores and, when the backend
+// sends one, a mask drawn over the image. Results still being processed are
+// polled until they arrive. `image` is the upload response's image, if any.
+function AnalysisResult({ image: uploadedImage, previewUrl, field, onComplete }) {
+  const { image, error, pending, unavailable } = useImageAnalysis(uploadedImage, onComplete)
+  const [showMask, setShowMask] = useState(true)
+  const analysis = image?.analysis
+  const maskUrl = analysis?.mask_url
+
+  return (
+    <div className="space-y-4">
+      <div className="relative overflow-hidden rounded-md border bg-gray-100">
+        <img src={image?.image_url || previewUrl} alt={image?.filename || ''} className="w-full max-h-80 object-contain" />
+        {maskUrl && showMask && (
+          <img src={maskUrl} alt="Stress mask" className="absolute inset-0 h-full w-full object-contain opacity-50 mix-blend-multiply" />
+        )}
+      </div>
+      {maskUrl && (
+        <div className="flex items-center gap-2">
+          <Switch id="showMask" checked={showMask} onCheckedChange={setShowMask} />
+          <Label htmlFor="showMask">Show stress mask</Label>
+        </div>
+      )}
+
+      {!image && (
+        <p className="text-sm text-gray-600">Uploaded. The server did not return analysis results for this photo.</p>
+      )}
+
+      {pending && (
+        <p className="flex items-center text-sm text-gray-600">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Analysing... results will appear here shortly.
+        </p>
+      )}
+      {unavailable && (
+        <p className="text-sm text-gray-600">
+          Analysis is still in progress. Results will appear on the field page when they are ready.
+        </p>
+      )}
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {analysis?.status === 'failed' && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{analysis.error || 'The image could not be analysed'}</AlertDescription>
+        </Alert>
+      )}
+
+      {analysis?.status === 'completed' && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <StressBadge level={analysis.stress_level} className="text-sm" />
+            <span className="text-sm text-gray-600">{formatConfidence(analysis.confidence)} confidence</span>
+          </div>
+          {analysis.scores && (
+            <div className="space-y-2">
+              {scoreRows(analysis.scores).map((row) => (
+                <div key={row.level} className="space-y-1">
+                  <div className="flex justify-between text-xs text-gray-600">
+                    <span>{row.label}</span>
+                    <span>{formatConfidence(row.value)}</span>
+                  </div>
+                  <div className="h-2 rounded-full bg-gray-100">
+                    <div className="h-2 rounded-full" style={{ width: `${row.value * 100}%`, backgroundColor: row.color }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm">
+        {field ? (
+          <Link to={`/fields/${field.id}`} className="flex items-center text-green-700 hover:underline">
+            <MapPin className="h-4 w-4 mr-1" />
+            {field.name}
+          </Link>
+        ) : <span />}
+        {image?.uploaded_at && (
+          <span className="text-gray-500">Uploaded {new Date(image.uploaded_at).toLocaleString()}</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AnalysisResult
@@ -0,0 +1,60 @@
+import { TileLayer, WMSTileLayer } from 'react-leaflet'
+import { Button } from '@/components/ui/button.jsx'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu.jsx'
+import { Layers } from 'lucide-react'
+import MapControl from '@/components/MapControl.jsx'
+import { useBasemaps } from '@/hooks/use-basemaps'
+import { layerOptions } from '@/lib/basemaps'
+
+// Layer switcher in the map's top-right corner
+function BasemapSwitcher({ basemaps, active, onSelect }) {
+  return (
+    <MapControl position="topright">
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" className="bg-white shadow-sm" title="Map layer">
+            <Layers className="h-4 w-4 mr-1" />
+            {active.name}
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuLabel>Map layer</DropdownMenuLabel>
+          <DropdownMenuRadioGroup value={active.id} onValueChange={onSelect}>
+            {basemaps.map((basemap) => (
+              <DropdownMenuRadioItem key={basemap.id} value={basemap.id}>
+                {basemap.name}
+              </DropdownMenuRadioItem>
+            ))}
+          </DropdownMenuRadioGroup>
+        </DropdownMenuContent>
+      </DropdownMenu>
+    </MapControl>
+  )
+}
+
+// The user's chosen basemap, with a switcher. Goes inside a MapContainer in
+// place of a TileLayer.
+function BasemapLayer() {
+  const { basemaps, active, select } = useBasemaps()
+  const options = layerOptions(active)
+
+  return (
+    <>
+      {active.type === 'wms' ? (
+        <WMSTileLayer key={active.id} url={active.url} {...options} />
+      ) : (
+        <TileLayer key={active.id} url={active.url} {...options} />
+      )}
+      <BasemapSwitcher basemaps={basemaps} active={active} onSelect={select} />
+    </>
+  )
+}
+
+export default BasemapLayer
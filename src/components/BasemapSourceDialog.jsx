@@ -0,0 +1,164 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx'
+import { AlertTriangle } from 'lucide-react'
+import { BASEMAP_TYPES, createBasemap, validateBasemap } from '@/lib/basemaps'
+
+const URL_HINTS = {
+  xyz: 'https://tiles.example.com/{z}/{x}/{y}.png',
+  tms: 'https://tiles.example.com/{z}/{x}/{y}.png',
+  wms: 'https://maps.example.com/wms',
+}
+
+const EMPTY_SOURCE = { type: 'xyz', name: '', url: '', layers: '', attribution: '', maxZoom: '19', offline: false }
+
+// Form for adding a custom XYZ, TMS or WMS basemap
+function BasemapSourceDialog({ open, onOpenChange, basemaps, onAdd }) {
+  const [source, setSource] = useState(EMPTY_SOURCE)
+  const [error, setError] = useState('')
+
+  const set = (changes) => setSource({ ...source, ...changes })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const problem = validateBasemap(source, basemaps)
+    if (problem) {
+      setError(problem)
+      return
+    }
+    onAdd(createBasemap(source))
+    setSource(EMPTY_SOURCE)
+    setError('')
+    onOpenChange(false)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Add Map Layer</DialogTitle>
+            <DialogDescription>
+              The layer appears in the layer switcher on every map.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="basemapType">Type</Label>
+              <Select value={source.type} onValueChange={(type) => set({ type })}>
+                <SelectTrigger id="basemapType" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {BASEMAP_TYPES.map((type) => (
+                    <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="basemapName">Name</Label>
+              <Input
+                id="basemapName"
+                value={source.name}
+                onChange={(e) => set({ name: e.target.value })}
+                placeholder="Drone orthomosaic"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="basemapUrl">{source.type === 'wms' ? 'Service URL' : 'Tile URL'}</Label>
+            <Input
+              id="basemapUrl"
+              value={source.url}
+              onChange={(e) => set({ url: e.target.value })}
+              placeholder={URL_HINTS[source.type]}
+              required
+            />
+            {source.type !== 'wms' && (
+              <p className="text-xs text-gray-600">Use {'{z}'}, {'{x}'} and {'{y}'} for the tile, and {'{s}'} for a/b/c subdomains.</p>
+            )}
+          </div>
+
+          {source.type === 'wms' && (
+            <div className="space-y-2">
+              <Label htmlFor="basemapLayers">Layers</Label>
+              <Input
+                id="basemapLayers"
+                value={source.layers}
+                onChange={(e) => set({ layers: e.target.value })}
+                placeholder="layer1,layer2"
+                required
+              />
+            </div>
+          )}
+
+          <div className="grid grid-cols-[1fr_6rem] gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="basemapAttribution">Attribution</Label>
+              <Input
+                id="basemapAttribution"
+                value={source.attribution}
+                onChange={(e) => set({ attribution: e.target.value })}
+                placeholder="Imagery © Provider"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="basemapMaxZoom">Max zoom</Label>
+              <Input
+                id="basemapMaxZoom"
+                type="number"
+                min="1"
+                value={source.maxZoom}
+                onChange={(e) => set({ maxZoom: e.target.value })}
+              />
+            </div>
+          </div>
+
+          {source.type !== 'wms' && (
+            <div className="space-y-1">
+              <label className="flex items-center space-x-2 text-sm font-medium">
+                <Checkbox checked={source.offline} onCheckedChange={(checked) => set({ offline: checked === true })} />
+                <span>Allows offline use</span>
+              </label>
+              <p className="text-xs text-gray-600">
+                Only tick this if the provider's terms allow saving its tiles for offline maps.
+              </p>
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit">Add Layer</Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default BasemapSourceDialog
@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx'
+import { AlertTriangle, Compass, MapPin } from 'lucide-react'
+import { useGeolocation } from '@/hooks/use-geolocation'
+import { useCompassHeading } from '@/hooks/use-compass-heading'
+import { matchFields } from '@/lib/geometry'
+import { formatHeading } from '@/lib/format'
+
+// Fixes worse than this are flagged, since they may land in the wrong row
+const POOR_ACCURACY_METRES = 30
+
+function shotName(date) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+  return `scout-${stamp}.jpg`
+}
+
+// Full-screen rear camera for taking a series of photos while walking a
+// field. Each shot is tagged with the device position and heading at that
+// moment and handed to `onCapture({ file, capturedAt, latitude, longitude,
+// altitude, accuracy, heading })`; the camera stays open for the next one.
+function CameraCapture({ open, onOpenChange, fields, onCapture }) {
+  const [stream, setStream] = useState(null)
+  const [cameraError, setCameraError] = useState('')
+  const [shotCount, setShotCount] = useState(0)
+  const [lastShotUrl, setLastShotUrl] = useState(null)
+  const [flash, setFlash] = useState(false)
+  const videoRef = useRef(null)
+  const { position, error: locationError } = useGeolocation(open)
+  const compassHeading = useCompassHeading(open)
+  // GPS reports a heading only while moving
+  const heading = compassHeading ?? (Number.isFinite(position?.heading) ? position.heading : null)
+
+  const currentField = useMemo(() => {
+    if (!position) return null
+    return matchFields([position.latitude, position.longitude], fields).matches[0] || null
+  }, [position, fields])
+
+  useEffect(() => {
+    if (!open) return
+    let cancelled = false
+    let started = null
+    navigator.mediaDevices
+      .getUserMedia({
+        video: { facingMode: { ideal: 'environment' }, width: { ideal: 3840 }, height: { ideal: 2160 } },
+        audio: false,
+      })
+      .then((result) => {
+        started = result
+        if (cancelled) result.getTracks().forEach((track) => track.stop())
+        else setStream(result)
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setCameraError(err.name === 'NotAllowedError' ? 'Camera permission was denied' : 'Could not start the camera')
+        }
+      })
+    return () => {
+      cancelled = true
+      started?.getTracks().forEach((track) => track.stop())
+      setStream(null)
+    }
+  }, [open])
+
+  useEffect(() => {
+    if (lastShotUrl) return () => URL.revokeObjectURL(lastShotUrl)
+  }, [lastShotUrl])
+
+  const attachVideo = useCallback((node) => {
+    videoRef.current = node
+    if (node && node.srcObject !== stream) node.srcObject = stream
+  }, [stream])
+
+  const takePhoto = () => {
+    const video = videoRef.current
+    if (!video?.videoWidth) return
+    const canvas = document.createElement('canvas')
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+    canvas.getContext('2d').drawImage(video, 0, 0)
+
+    // Position and heading as of the shutter press, not when encoding ends
+    const capturedAt = new Date()
+    const shot = {
+      capturedAt,
+      latitude: position?.latitude ?? null,
+      longitude: position?.longitude ?? null,
+      altitude: position?.altitude ?? null,
+      accuracy: position?.accuracy ?? null,
+      heading,
+    }
+    canvas.toBlob((blob) => {
+      if (!blob) return
+      const file = new File([blob], shotName(capturedAt), { type: 'image/jpeg', lastModified: capturedAt.getTime() })
+      onCapture({ ...shot, file })
+      setShotCount((count) => count + 1)
+      setLastShotUrl(URL.createObjectURL(blob))
+    }, 'image/jpeg', 0.92)
+
+    setFlash(true)
+    setTimeout(() => setFlash(false), 150)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="flex flex-col gap-0 p-0 w-screen h-[100dvh] max-w-none sm:max-w-none rounded-none border-0 bg-black text-white">
+        <DialogHeader className="sr-only">
+          <DialogTitle>Camera</DialogTitle>
+          <DialogDescription>Take photos to add to the upload queue.</DialogDescription>
+        </DialogHeader>
+
+        <div className="relative flex-1 min-h-0">
+          <video ref={attachVideo} autoPlay playsInline muted className="h-full w-full object-contain" />
+          {flash && <div className="absolute inset-0 bg-white/60" />}
+
+          <div className="absolute top-3 left-3 right-12 flex flex-wrap gap-2 text-sm">
+            <span className="flex items-center rounded bg-black/60 px-2 py-1">
+              <MapPin className="h-4 w-4 mr-1" />
+              {position
+                ? `${position.latitude.toFixed(5)}, ${position.longitude.toFixed(5)} ±${Math.round(position.accuracy)} m`
+                : locationError || 'Finding location...'}
+            </span>
+            {heading != null && (
+              <span className="flex items-center rounded bg-black/60 px-2 py-1">
+                <Compass className="h-4 w-4 mr-1" />
+                {formatHeading(heading)}
+              </span>
+            )}
+            {position && (
+              <span className="rounded bg-black/60 px-2 py-1">
+                {currentField ? currentField.name : 'Outside all fields'}
+              </span>
+            )}
+            {position?.accuracy > POOR_ACCURACY_METRES && (
+              <span className="flex items-center rounded bg-amber-600/80 px-2 py-1">
+                <AlertTriangle className="h-4 w-4 mr-1" />
+                Weak GPS signal
+              </span>
+            )}
+          </div>
+
+          {cameraError && (
+            <div className="absolute inset-0 flex items-center justify-center p-6 text-center">
+              <p className="flex items-center">
+                <AlertTriangle className="h-5 w-5 mr-2 text-red-400" />
+                {cameraError}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-3 items-center p-4 pb-[max(1rem,env(safe-area-inset-bottom))]">
+          <div className="flex items-center gap-2">
+            {lastShotUrl && <img src={lastShotUrl} alt="Last photo" className="h-12 w-12 rounded object-cover" />}
+            {shotCount > 0 && (
+              <span className="text-sm">{shotCount} photo{shotCount === 1 ? '' : 's'} added</span>
+            )}
+          </div>
+          <button
+            type="button"
+            className="justify-self-center h-16 w-16 rounded-full border-4 border-white bg-white/20 active:bg-white/60 disabled:opacity-40"
+            onClick={takePhoto}
+            disabled={!stream}
+            aria-label="Take photo"
+          />
+          <Button variant="secondary" className="justify-self-end" onClick={() => onOpenChange(false)}>
+            Done
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default CameraCapture
@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { format, isSameDay, subDays } from 'date-fns'
+import { Button } from '@/components/ui/button.jsx'
+import { Calendar } from '@/components/ui/calendar.jsx'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx'
+import { CalendarDays } from 'lucide-react'
+import { DATE_PRESETS, MAX_RANGE_DAYS, presetRange } from '@/lib/analytics'
+
+function formatRange({ from, to }) {
+  if (isSameDay(from, to)) return format(from, 'MMM d, yyyy')
+  const sameYear = from.getFullYear() === to.getFullYear()
+  return `${format(from, sameYear ? 'MMM d' : 'MMM d, yyyy')} – ${format(to, 'MMM d, yyyy')}`
+}
+
+// Button showing the selected range, opening presets and a two-month range
+// calendar. Only days from the last `lookbackDays` up to today can be picked.
+function DateRangePicker({ value, onChange, lookbackDays = MAX_RANGE_DAYS }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState(value)
+  const today = new Date()
+
+  const handleOpenChange = (next) => {
+    if (next) setDraft(value)
+    setOpen(next)
+  }
+
+  const apply = (range) => {
+    onChange(range)
+    setOpen(false)
+  }
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" className="justify-start font-normal">
+          <CalendarDays className="h-4 w-4 mr-2" />
+          {formatRange(value)}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-auto p-0">
+        <div className="flex flex-col sm:flex-row">
+          <div className="flex sm:flex-col gap-1 p-3 border-b sm:border-b-0 sm:border-r">
+            {DATE_PRESETS.map((preset) => (
+              <Button
+                key={preset.days}
+                variant="ghost"
+                size="sm"
+                className="justify-start"
+                onClick={() => apply(presetRange(preset.days))}
+              >
+                {preset.label}
+              </Button>
+            ))}
+          </div>
+          <div>
+            <Calendar
+              mode="range"
+              numberOfMonths={2}
+              defaultMonth={subDays(draft?.to || today, 31)}
+              selected={draft}
+              onSelect={setDraft}
+              disabled={[{ after: today }, { before: subDays(today, lookbackDays - 1) }]}
+            />
+            <div className="flex justify-end gap-2 p-3 pt-0">
+              <Button variant="outline" size="sm" onClick={() => setOpen(false)}>
+                Cancel
+              </Button>
+              <Button size="sm" onClick={() => apply({ from: draft.from, to: draft.to || draft.from })} disabled={!draft?.from}>
+                Apply
+              </Button>
+            </div>
+          </div>
+        </div>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+export default DateRangePicker
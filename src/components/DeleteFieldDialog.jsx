@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog.jsx'
+import { api } from '@/lib/api'
+import { MAX_LOOKBACK_DAYS } from '@/lib/analytics'
+
+// Confirmation before deleting a field, stating how many images go with it.
+// Uses `image_count` from the field list when the backend provides it. Stats
+// only reach back MAX_LOOKBACK_DAYS, so their count is shown as a lower bound.
+function DeleteFieldDialog({ field, onOpenChange, onDeleted }) {
+  const imageCount = field?.image_count ?? null
+  const [recentCount, setRecentCount] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!field || field.image_count != null) return
+    let cancelled = false
+    api.getFieldStats(field.id, MAX_LOOKBACK_DAYS)
+      .then((data) => {
+        if (!cancelled) setRecentCount(data.summary?.total_images ?? null)
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+    }
+  }, [field])
+
+  const handleDelete = async (e) => {
+    // Keep the dialog open until the request finishes
+    e.preventDefault()
+    setDeleting(true)
+    setError('')
+    try {
+      await api.deleteField(field.id)
+      onOpenChange(false)
+      onDeleted(field)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete field')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  let imagesText = 'all of its uploaded images and analysis results'
+  if (imageCount === 0) {
+    imagesText = 'no images (none have been uploaded)'
+  } else if (imageCount != null) {
+    imagesText = `${imageCount} uploaded image${imageCount === 1 ? '' : 's'} and ${imageCount === 1 ? 'its' : 'their'} analysis results`
+  } else if (recentCount > 0) {
+    imagesText = `all of its uploaded images, at least ${recentCount} from the last ${MAX_LOOKBACK_DAYS} days, and their analysis results`
+  }
+
+  return (
+    <AlertDialog open={Boolean(field)} onOpenChange={(open) => !deleting && onOpenChange(open)}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>Delete {field?.name}?</AlertDialogTitle>
+          <AlertDialogDescription>
+            This permanently deletes the field and {imagesText}. This cannot be undone.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <AlertDialogFooter>
+          <AlertDialogCancel disabled={deleting}>Cancel</AlertDialogCancel>
+          <AlertDialogAction
+            className="bg-destructive text-white hover:bg-destructive/90"
+            onClick={handleDelete}
+            disabled={deleting}
+          >
+            {deleting ? 'Deleting...' : 'Delete Field'}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  )
+}
+
+export default DeleteFieldDialog
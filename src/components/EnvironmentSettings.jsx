@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group.jsx'
+import { Switch } from '@/components/ui/switch.jsx'
+import { Separator } from '@/components/ui/separator.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx'
+import { api, MOCK_API } from '@/lib/api'
+import { getProfiles, setApiOverride, clearApiOverride } from '@/lib/config'
+
+const CUSTOM = 'custom'
+
+// Latency, error and offline simulation for the bundled mock backend
+function MockSettings() {
+  const [mock, setMock] = useState(null)
+  const [options, setOptions] = useState(null)
+  const [resetting, setResetting] = useState(false)
+
+  useEffect(() => {
+    import('@/lib/mock').then((module) => {
+      setMock(module)
+      setOptions(module.getMockOptions())
+    })
+  }, [])
+
+  if (!mock || !options) return null
+
+  const update = (changes) => {
+    mock.setMockOptions(changes)
+    setOptions(mock.getMockOptions())
+  }
+
+  const handleReset = async () => {
+    setResetting(true)
+    await mock.resetMockData()
+    api.clearToken()
+    window.location.reload()
+  }
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-sm font-medium">Mock Backend</h3>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="mockLatency">Latency (ms)</Label>
+          <Input
+            id="mockLatency"
+            type="number"
+            min="0"
+            value={options.latency}
+            onChange={(e) => update({ latency: Math.max(0, Number(e.target.value)) })}
+          />
+        </div>
+        <div>
+          <Label htmlFor="mockErrorRate">Error rate (%)</Label>
+          <Input
+            id="mockErrorRate"
+            type="number"
+            min="0"
+            max="100"
+            value={Math.round(options.errorRate * 100)}
+            onChange={(e) => update({ errorRate: Math.min(100, Math.max(0, Number(e.target.value))) / 100 })}
+          />
+        </div>
+        <div>
+          <Label htmlFor="mockAnalysisDelay">Analysis delay (s)</Label>
+          <Input
+            id="mockAnalysisDelay"
+            type="number"
+            min="0"
+            value={options.analysisDelay}
+            onChange={(e) => update({ analysisDelay: Math.max(0, Number(e.target.value)) })}
+          />
+        </div>
+      </div>
+      <div className="flex items-center justify-between">
+        <Label htmlFor="mockOffline">Simulate offline</Label>
+        <Switch id="mockOffline" checked={options.offline} onCheckedChange={(offline) => update({ offline })} />
+      </div>
+      <Button variant="outline" size="sm" onClick={handleReset} disabled={resetting}>
+        {resetting ? 'Resetting...' : 'Reset Mock Data'}
+      </Button>
+    </div>
+  )
+}
+
+// Hidden panel for switching the backend the dashboard talks to.
+// Opened with Ctrl+Shift+E from any screen, including sign-in.
+function EnvironmentSettings() {
+  const [open, setOpen] = useState(false)
+  const [selected, setSelected] = useState('')
+  const [customUrl, setCustomUrl] = useState('')
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'e') {
+        e.preventDefault()
+        setOpen(true)
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  useEffect(() => {
+    if (open) {
+      setSelected(api.config.profile || CUSTOM)
+      setCustomUrl(api.config.profile ? '' : api.config.baseURL)
+    }
+  }, [open])
+
+  const profiles = getProfiles()
+
+  const applyAndReload = () => {
+    // A token issued by one backend is meaningless to another
+    api.clearToken()
+    window.location.reload()
+  }
+
+  const handleSave = () => {
+    if (selected === CUSTOM) {
+      setApiOverride({ customUrl: customUrl.trim() })
+    } else {
+      setApiOverride({ profile: selected })
+    }
+    applyAndReload()
+  }
+
+  const handleReset = () => {
+    clearApiOverride()
+    applyAndReload()
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>API Environment</DialogTitle>
+          <DialogDescription>
+            Currently using <span className="font-mono">{api.config.baseURL}</span>{' '}
+            <Badge variant="outline">{api.config.source}</Badge>
+            {MOCK_API && <Badge variant="secondary">Mock backend</Badge>}
+          </DialogDescription>
+        </DialogHeader>
+        <RadioGroup value={selected} onValueChange={setSelected}>
+          {Object.entries(profiles).map(([name, url]) => (
+            <div key={name} className="flex items-center space-x-3">
+              <RadioGroupItem value={name} id={`profile-${name}`} disabled={!url} />
+              <Label htmlFor={`profile-${name}`} className="flex flex-col items-start gap-1">
+                <span className="capitalize">{name}</span>
+                <span className="text-xs font-normal text-gray-600 font-mono">{url || 'Not configured'}</span>
+              </Label>
+            </div>
+          ))}
+          <div className="flex items-center space-x-3">
+            <RadioGroupItem value={CUSTOM} id="profile-custom" />
+            <Label htmlFor="profile-custom">Custom URL</Label>
+          </div>
+        </RadioGroup>
+        {selected === CUSTOM && (
+          <Input
+            type="text"
+            placeholder="https://example.com/api or /api"
+            value={customUrl}
+            onChange={(e) => setCustomUrl(e.target.value)}
+          />
+        )}
+        <p className="text-xs text-gray-600">Saving signs you out and reloads the app.</p>
+        {MOCK_API && (
+          <>
+            <Separator />
+            <MockSettings />
+          </>
+        )}
+        <DialogFooter>
+          <Button variant="outline" onClick={handleReset}>
+            Reset to Default
+          </Button>
+          <Button onClick={handleSave} disabled={!selected || (selected === CUSTOM && !customUrl.trim())}>
+            Save & Reload
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default EnvironmentSettings
@@ -0,0 +1,178 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx'
+import { AlertTriangle } from 'lucide-react'
+import { api } from '@/lib/api'
+import { MAX_LOOKBACK_DAYS, presetRange, rangeDays, toDateParam } from '@/lib/analytics'
+import { EXPORT_FORMATS, serialize, downloadFile } from '@/lib/export'
+
+// Export of field polygons and, optionally, the analysed image points within
+// a date range. Points come from getFieldStats, which is asked for enough
+// days to cover the start of the range, so the range cannot start further
+// back than it reaches.
+function FieldExportDialog({ open, onOpenChange, fields }) {
+  const [format, setFormat] = useState('geojson')
+  const [selectedIds, setSelectedIds] = useState(() => new Set(fields.map((f) => f.id)))
+  const [includePoints, setIncludePoints] = useState(true)
+  const [fromDate, setFromDate] = useState(() => toDateParam(presetRange(30).from))
+  const [toDate, setToDate] = useState(() => toDateParam(new Date()))
+  const [earliestFrom] = useState(() => toDateParam(presetRange(MAX_LOOKBACK_DAYS).from))
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState('')
+
+  const toggleField = (id, checked) => {
+    const next = new Set(selectedIds)
+    if (checked) next.add(id)
+    else next.delete(id)
+    setSelectedIds(next)
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    setError('')
+    try {
+      const chosen = fields.filter((f) => selectedIds.has(f.id))
+      let images = []
+      if (includePoints) {
+        const from = new Date(`${fromDate}T00:00:00`)
+        const to = new Date(`${toDate}T23:59:59.999`)
+        const days = rangeDays({ from, to })
+        const results = await Promise.all(chosen.map((field) => api.getFieldStats(field.id, days)))
+        images = results
+          .flatMap((result) => result.images || [])
+          .filter((image) => {
+            const uploaded = new Date(image.uploaded_at)
+            return uploaded >= from && uploaded <= to
+          })
+      }
+      const { extension, mimeType } = EXPORT_FORMATS[format]
+      downloadFile(serialize(format, chosen, images), `crophealth-export-${toDateParam(new Date())}.${extension}`, mimeType)
+      onOpenChange(false)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to export data')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const tooFarBack = includePoints && fromDate !== '' && fromDate < earliestFrom
+  const rangeInvalid = includePoints && (!fromDate || !toDate || fromDate > toDate || tooFarBack)
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Export Fields</DialogTitle>
+          <DialogDescription>
+            Download field boundaries and analysed image points for use in GIS tools.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label>Format</Label>
+          <RadioGroup value={format} onValueChange={setFormat} className="flex space-x-4">
+            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+              <div key={key} className="flex items-center space-x-2">
+                <RadioGroupItem value={key} id={`format-${key}`} />
+                <Label htmlFor={`format-${key}`}>{label}</Label>
+              </div>
+            ))}
+          </RadioGroup>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <Label>Fields</Label>
+            <Button
+              type="button"
+              variant="link"
+              size="sm"
+              className="h-auto p-0"
+              onClick={() => setSelectedIds(selectedIds.size === fields.length ? new Set() : new Set(fields.map((f) => f.id)))}
+            >
+              {selectedIds.size === fields.length ? 'Select none' : 'Select all'}
+            </Button>
+          </div>
+          <div className="border rounded-md divide-y max-h-48 overflow-y-auto">
+            {fields.map((field) => (
+              <label key={field.id} className="flex items-center space-x-3 p-2 text-sm">
+                <Checkbox
+                  checked={selectedIds.has(field.id)}
+                  onCheckedChange={(checked) => toggleField(field.id, checked === true)}
+                />
+                <span className="flex-1">{field.name}</span>
+                <span className="text-gray-600">{field.crop_type}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center space-x-2 text-sm font-medium">
+            <Checkbox checked={includePoints} onCheckedChange={(checked) => setIncludePoints(checked === true)} />
+            <span>Include image sample points</span>
+          </label>
+          {includePoints && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="exportFrom" className="mb-2">From</Label>
+                <Input
+                  id="exportFrom"
+                  type="date"
+                  value={fromDate}
+                  min={earliestFrom}
+                  max={toDate}
+                  onChange={(e) => setFromDate(e.target.value)}
+                />
+              </div>
+              <div>
+                <Label htmlFor="exportTo" className="mb-2">To</Label>
+                <Input id="exportTo" type="date" value={toDate} min={fromDate} onChange={(e) => setToDate(e.target.value)} />
+              </div>
+            </div>
+          )}
+        </div>
+
+        {tooFarBack && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>
+              Image points are only available for the last {MAX_LOOKBACK_DAYS} days. Choose a start on or after{' '}
+              {new Date(`${earliestFrom}T00:00:00`).toLocaleDateString()}.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} disabled={exporting || selectedIds.size === 0 || rangeInvalid}>
+            {exporting ? 'Exporting...' : `Export ${EXPORT_FORMATS[format].label}`}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default FieldExportDialog
@@ -0,0 +1,285 @@
+import { useMemo, useState } from 'react'
+import { MapContainer, Polygon, Tooltip } from 'react-leaflet'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Progress } from '@/components/ui/progress.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx'
+import { AlertTriangle, CheckCircle } from 'lucide-react'
+import FitBounds from '@/components/FitBounds.jsx'
+import BasemapLayer from '@/components/BasemapLayer.jsx'
+import '@/lib/leaflet'
+import { api } from '@/lib/api'
+import { IMPORT_ACCEPT, parseBoundaryFile, guessAttribute } from '@/lib/import'
+import { toGeoJSONPolygon, formatArea } from '@/lib/geometry'
+
+// Radix Select does not allow an empty value
+const NONE = '__none__'
+
+function AttributeSelect({ id, value, attributes, onChange, placeholder }) {
+  return (
+    <Select value={value || NONE} onValueChange={(v) => onChange(v === NONE ? null : v)}>
+      <SelectTrigger id={id} className="w-full">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NONE}>{placeholder}</SelectItem>
+        {attributes.map((attribute) => (
+          <SelectItem key={attribute} value={attribute}>{attribute}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+// Bulk import of field boundaries from GeoJSON, KML, GPX or zipped Shapefile.
+// Every feature is previewed on the map; valid ones are selected by default
+// and created one by one through APIService.createField.
+function FieldImportDialog({ open, onOpenChange, onImported }) {
+  const [fileName, setFileName] = useState('')
+  const [parsed, setParsed] = useState(null)
+  const [parseError, setParseError] = useState('')
+  const [parsing, setParsing] = useState(false)
+  const [nameAttribute, setNameAttribute] = useState(null)
+  const [cropAttribute, setCropAttribute] = useState(null)
+  const [defaultCrop, setDefaultCrop] = useState('')
+  const [selected, setSelected] = useState(new Set())
+  const [progress, setProgress] = useState(null)
+
+  const reset = () => {
+    setFileName('')
+    setParsed(null)
+    setParseError('')
+    setSelected(new Set())
+    setProgress(null)
+  }
+
+  const handleOpenChange = (value) => {
+    if (progress?.running) return
+    if (!value) reset()
+    onOpenChange(value)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    reset()
+    setFileName(file.name)
+    setParsing(true)
+    try {
+      const result = await parseBoundaryFile(file)
+      if (result.candidates.length === 0) {
+        setParseError('No polygon boundaries were found in this file.')
+        return
+      }
+      setParsed(result)
+      setNameAttribute(guessAttribute(result.attributes, 'name'))
+      setCropAttribute(guessAttribute(result.attributes, 'crop_type'))
+      setSelected(new Set(result.candidates.filter((c) => c.errors.length === 0).map((c) => c.key)))
+    } catch (err) {
+      setParseError(`Could not read ${file.name}: ${err.message}`)
+    } finally {
+      setParsing(false)
+    }
+  }
+
+  const baseName = fileName.replace(/\.[^.]+$/, '')
+
+  const fieldFor = (candidate, index) => {
+    const name = nameAttribute && candidate.properties[nameAttribute] != null
+      ? String(candidate.properties[nameAttribute])
+      : `${baseName} ${index + 1}`
+    const crop = cropAttribute && candidate.properties[cropAttribute] != null
+      ? String(candidate.properties[cropAttribute])
+      : defaultCrop
+    return {
+      name: candidate.part ? `${name} (part ${candidate.part})` : name,
+      crop_type: crop,
+    }
+  }
+
+  const allPositions = useMemo(() => parsed?.candidates.flatMap((c) => c.latlngs) || [], [parsed])
+
+  const toggle = (key, checked) => {
+    const next = new Set(selected)
+    if (checked) next.add(key)
+    else next.delete(key)
+    setSelected(next)
+  }
+
+  const handleImport = async () => {
+    const chosen = parsed.candidates
+      .map((candidate, index) => ({ candidate, field: fieldFor(candidate, index) }))
+      .filter(({ candidate }) => selected.has(candidate.key))
+    const failures = []
+    setProgress({ running: true, done: 0, total: chosen.length, failures })
+
+    for (const [i, { candidate, field }] of chosen.entries()) {
+      try {
+        await api.createField({
+          ...field,
+          polygon_geometry: JSON.stringify(toGeoJSONPolygon(candidate.latlngs)),
+        })
+      } catch (err) {
+        failures.push({ name: field.name, error: err.response?.data?.error || 'Failed to add field' })
+      }
+      setProgress({ running: true, done: i + 1, total: chosen.length, failures: [...failures] })
+    }
+
+    setProgress({ running: false, done: chosen.length, total: chosen.length, failures })
+    setSelected(new Set())
+    onImported()
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Fields</DialogTitle>
+          <DialogDescription>
+            Load field boundaries from GeoJSON, KML, GPX or a zipped Shapefile.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div>
+          <Label htmlFor="importFile" className="mb-2">Boundary File</Label>
+          <Input id="importFile" type="file" accept={IMPORT_ACCEPT} onChange={handleFileChange} disabled={progress?.running} />
+          {parsing && <p className="text-sm text-gray-600 mt-2">Reading {fileName}...</p>}
+        </div>
+
+        {parseError && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{parseError}</AlertDescription>
+          </Alert>
+        )}
+
+        {parsed && (
+          <>
+            <div className="h-64 w-full rounded-md overflow-hidden border">
+              <MapContainer center={allPositions[0]} zoom={13} style={{ height: '100%', width: '100%' }}>
+                <BasemapLayer />
+                {parsed.candidates.map((candidate, index) => {
+                  const color = candidate.errors.length > 0 ? '#dc2626' : selected.has(candidate.key) ? '#15803d' : '#6b7280'
+                  return (
+                    <Polygon
+                      key={candidate.key}
+                      positions={candidate.latlngs}
+                      pathOptions={{ color, weight: 2, fillOpacity: 0.2 }}
+                      eventHandlers={{ click: () => candidate.errors.length === 0 && toggle(candidate.key, !selected.has(candidate.key)) }}
+                    >
+                      <Tooltip>{fieldFor(candidate, index).name}</Tooltip>
+                    </Polygon>
+                  )
+                })}
+                <FitBounds positions={allPositions} />
+              </MapContainer>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <Label htmlFor="nameAttribute" className="mb-2">Name from</Label>
+                <AttributeSelect
+                  id="nameAttribute"
+                  value={nameAttribute}
+                  attributes={parsed.attributes}
+                  onChange={setNameAttribute}
+                  placeholder="File name + number"
+                />
+              </div>
+              <div>
+                <Label htmlFor="cropAttribute" className="mb-2">Crop type from</Label>
+                <AttributeSelect
+                  id="cropAttribute"
+                  value={cropAttribute}
+                  attributes={parsed.attributes}
+                  onChange={setCropAttribute}
+                  placeholder="Default crop type"
+                />
+              </div>
+              <div>
+                <Label htmlFor="defaultCrop" className="mb-2">Default crop type</Label>
+                <Input
+                  id="defaultCrop"
+                  type="text"
+                  value={defaultCrop}
+                  onChange={(e) => setDefaultCrop(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="border rounded-md divide-y max-h-64 overflow-y-auto">
+              {parsed.candidates.map((candidate, index) => {
+                const field = fieldFor(candidate, index)
+                const invalid = candidate.errors.length > 0
+                return (
+                  <label key={candidate.key} className="flex items-start space-x-3 p-3 text-sm">
+                    <Checkbox
+                      checked={selected.has(candidate.key)}
+                      disabled={invalid || progress?.running}
+                      onCheckedChange={(checked) => toggle(candidate.key, checked === true)}
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex justify-between">
+                        <span className="font-medium truncate">{field.name}</span>
+                        <span className="text-gray-600">{formatArea(candidate.area)}</span>
+                      </div>
+                      <p className="text-gray-600">{field.crop_type || 'No crop type specified'}</p>
+                      {invalid && <p className="text-red-600">{candidate.errors.join(' ')}</p>}
+                    </div>
+                  </label>
+                )
+              })}
+            </div>
+            {parsed.skipped > 0 && (
+              <p className="text-sm text-gray-600">
+                {parsed.skipped} feature{parsed.skipped === 1 ? '' : 's'} or part{parsed.skipped === 1 ? '' : 's'} without a polygon or closed track skipped.
+              </p>
+            )}
+          </>
+        )}
+
+        {progress && (
+          <div className="space-y-2">
+            <Progress value={(progress.done / Math.max(progress.total, 1)) * 100} />
+            <p className="text-sm text-gray-600">
+              {progress.running
+                ? `Creating fields... ${progress.done} of ${progress.total}`
+                : `Imported ${progress.total - progress.failures.length} of ${progress.total} fields.`}
+            </p>
+            {!progress.running && progress.failures.length === 0 && (
+              <Alert>
+                <CheckCircle className="h-4 w-4" />
+                <AlertDescription>All selected fields were imported.</AlertDescription>
+              </Alert>
+            )}
+            {progress.failures.map((failure, idx) => (
+              <p key={idx} className="text-sm text-red-600">{failure.name}: {failure.error}</p>
+            ))}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => handleOpenChange(false)} disabled={progress?.running}>
+            Close
+          </Button>
+          <Button onClick={handleImport} disabled={!parsed || selected.size === 0 || progress?.running}>
+            Import {selected.size} Field{selected.size === 1 ? '' : 's'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default FieldImportDialog
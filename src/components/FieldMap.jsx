@@ -0,0 +1,29 @@
+import { useMemo } from 'react'
+import { MapContainer, Polygon } from 'react-leaflet'
+import FitBounds from '@/components/FitBounds.jsx'
+import BasemapLayer from '@/components/BasemapLayer.jsx'
+import '@/lib/leaflet'
+import { fieldLatLngs } from '@/lib/geometry'
+
+// Read-only map of a single field's boundary. Extra layers can be passed as
+// children.
+function FieldMap({ field, className = 'h-80', children }) {
+  const positions = useMemo(() => fieldLatLngs(field), [field])
+
+  return (
+    <div className={`${className} w-full rounded-md overflow-hidden border`}>
+      <MapContainer center={positions[0] || [0, 0]} zoom={positions.length ? 15 : 2} style={{ height: '100%', width: '100%' }}>
+        <BasemapLayer />
+        {positions.length > 0 && (
+          <>
+            <Polygon positions={positions} pathOptions={{ color: '#16a34a', weight: 2, fillOpacity: 0.15 }} />
+            <FitBounds positions={positions} />
+          </>
+        )}
+        {children}
+      </MapContainer>
+    </div>
+  )
+}
+
+export default FieldMap
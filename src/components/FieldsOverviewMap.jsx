@@ -0,0 +1,226 @@
+import { useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { MapContainer, Marker, Polygon, Tooltip, useMap, useMapEvents } from 'react-leaflet'
+import { HoverCard, HoverCardContent, HoverCardTrigger } from '@/components/ui/hover-card.jsx'
+import { Leaf } from 'lucide-react'
+import BasemapLayer from '@/components/BasemapLayer.jsx'
+import FitBounds from '@/components/FitBounds.jsx'
+import HealthStatusBadge from '@/components/HealthStatusBadge.jsx'
+import StressOverlay from '@/components/StressOverlay.jsx'
+import L from '@/lib/leaflet'
+import { boundsOf, fieldLatLngs } from '@/lib/geometry'
+import { healthColor, healthScore, healthStatus } from '@/lib/health'
+import { STRESS_LEVELS, STRESS_META, formatConfidence } from '@/lib/stress'
+
+// Fields smaller than this on screen, in pixels, are drawn as markers and
+// clustered with the markers around them
+const MIN_POLYGON_SIZE = 24
+const CLUSTER_CELL_SIZE = 64
+
+function markerIcon(count, color) {
+  const size = count > 1 ? 32 : 16
+  return L.divIcon({
+    className: '',
+    iconSize: [size, size],
+    html: `<div class="flex items-center justify-center rounded-full border-2 border-white shadow text-xs font-semibold text-white" style="width:${size}px;height:${size}px;background:${color}">${count > 1 ? count : ''}</div>`,
+  })
+}
+
+function averageScore(items) {
+  const scores = items.map((item) => item.score).filter((score) => score !== null)
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+}
+
+// Splits fields into those big enough to draw at `zoom` and clusters of the
+// rest, grouped by the grid cell their centre falls in
+function clusterFields(map, items, zoom) {
+  const polygons = []
+  const cells = new Map()
+  for (const item of items) {
+    const southWest = map.project(item.bounds[0], zoom)
+    const northEast = map.project(item.bounds[1], zoom)
+    if (Math.max(northEast.x - southWest.x, southWest.y - northEast.y) >= MIN_POLYGON_SIZE) {
+      polygons.push(item)
+      continue
+    }
+    const point = map.project(item.center, zoom)
+    const key = `${Math.floor(point.x / CLUSTER_CELL_SIZE)}:${Math.floor(point.y / CLUSTER_CELL_SIZE)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(item)
+  }
+  const clusters = [...cells.entries()].map(([key, members]) => {
+    const bounds = boundsOf(members.flatMap((item) => item.bounds))
+    return {
+      key,
+      members,
+      bounds,
+      center: [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2],
+      icon: markerIcon(members.length, healthColor(averageScore(members))),
+    }
+  })
+  return { polygons, clusters }
+}
+
+function FieldSummary({ item }) {
+  const { field, summary, score, status, latest } = item
+  return (
+    <div className="space-y-2">
+      <div>
+        <div className="flex items-center justify-between gap-2">
+          <h4 className="font-medium">{field.name}</h4>
+          {summary && <HealthStatusBadge status={status} />}
+        </div>
+        <p className="text-sm text-gray-600 flex items-center">
+          <Leaf className="h-3 w-3 mr-1" />
+          {field.crop_type || 'No crop type specified'}
+        </p>
+      </div>
+      {summary ? (
+        <>
+          <div className="flex justify-between text-sm">
+            <span>Health score</span>
+            <span className="font-medium" style={{ color: healthColor(score) }}>
+              {score === null ? 'N/A' : `${Math.round(score)}%`}
+            </span>
+          </div>
+          {score !== null && (
+            <div className="flex h-2 rounded-full overflow-hidden bg-gray-100">
+              {STRESS_LEVELS.map((level) => (
+                <div
+                  key={level}
+                  style={{ width: `${summary.stress_distribution[level] || 0}%`, backgroundColor: STRESS_META[level].color }}
+                />
+              ))}
+            </div>
+          )}
+          <div className="text-xs text-gray-600 space-y-0.5">
+            <p>{summary.total_images} images analyzed in the last {item.days} days</p>
+            {summary.average_confidence != null && <p>{formatConfidence(summary.average_confidence)} average confidence</p>}
+            {latest && <p>Latest photo {new Date(latest).toLocaleDateString()}</p>}
+          </div>
+        </>
+      ) : (
+        <p className="text-xs text-gray-600">Loading stats...</p>
+      )}
+    </div>
+  )
+}
+
+// Fields and clusters at the current zoom, with a hover card for the field
+// under the pointer. Clicking a field opens it; clicking a cluster zooms in.
+function FieldLayers({ items }) {
+  const map = useMap()
+  const navigate = useNavigate()
+  const [zoom, setZoom] = useState(() => map.getZoom())
+  const [hover, setHover] = useState(null)
+  const { polygons, clusters } = useMemo(() => clusterFields(map, items, zoom), [map, items, zoom])
+  const hovered = hover && items.find((item) => item.field.id === hover.fieldId)
+
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom()),
+    movestart: () => setHover(null),
+  })
+
+  const hoverHandlers = (item) => ({
+    mouseover: (e) => setHover({ fieldId: item.field.id, point: e.containerPoint }),
+    mouseout: () => setHover(null),
+    click: () => navigate(`/fields/${item.field.id}`),
+  })
+
+  return (
+    <>
+      {polygons.map((item) => (
+        <Polygon
+          key={item.field.id}
+          positions={item.ring}
+          pathOptions={{ color: item.color, weight: 2, fillColor: item.color, fillOpacity: 0.45 }}
+          eventHandlers={hoverHandlers(item)}
+        />
+      ))}
+      {clusters.map((cluster) =>
+        cluster.members.length === 1 ? (
+          <Marker
+            key={cluster.key}
+            position={cluster.members[0].center}
+            icon={cluster.icon}
+            eventHandlers={hoverHandlers(cluster.members[0])}
+          />
+        ) : (
+          <Marker
+            key={cluster.key}
+            position={cluster.center}
+            icon={cluster.icon}
+            eventHandlers={{ click: () => map.fitBounds(cluster.bounds, { padding: [20, 20] }) }}
+          >
+            <Tooltip>{cluster.members.length} fields, click to zoom in</Tooltip>
+          </Marker>
+        )
+      )}
+      {hovered && (
+        <HoverCard open>
+          <HoverCardTrigger asChild>
+            <div
+              className="absolute pointer-events-none"
+              style={{ left: hover.point.x, top: hover.point.y, width: 1, height: 1 }}
+            />
+          </HoverCardTrigger>
+          <HoverCardContent side="top" sideOffset={12} className="pointer-events-none">
+            <FieldSummary item={hovered} />
+          </HoverCardContent>
+        </HoverCard>
+      )}
+    </>
+  )
+}
+
+// Map of every field filled by its health score, fitted to all of them.
+// `fieldStats` maps field ids to their stats for the last `days` days; the
+// images in them can be shown as points or a heatmap. Statuses in the hover
+// card use `thresholds` (see getHealthThresholds).
+function FieldsOverviewMap({ fields, fieldStats, days, thresholds, className = 'h-96' }) {
+  const items = useMemo(
+    () =>
+      fields
+        .map((field) => {
+          const ring = fieldLatLngs(field)
+          const bounds = boundsOf(ring)
+          const stats = fieldStats[field.id]
+          const score = healthScore(stats?.summary)
+          return {
+            field,
+            ring,
+            bounds,
+            center: bounds && [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2],
+            summary: stats?.summary,
+            latest: stats?.images?.[0]?.uploaded_at,
+            score,
+            status: healthStatus(stats?.summary, field.crop_type, thresholds),
+            color: healthColor(score),
+            days,
+          }
+        })
+        .filter((item) => item.bounds),
+    [fields, fieldStats, days, thresholds]
+  )
+  // Only new or changed boundaries refit the view, not stats arriving or the
+  // field list being reloaded
+  const boundaryKey = JSON.stringify(fields.map((field) => [field.id, field.polygon_geometry]))
+  const positions = useMemo(
+    () => JSON.parse(boundaryKey).flatMap(([, geometry]) => fieldLatLngs({ polygon_geometry: geometry })),
+    [boundaryKey]
+  )
+  const images = useMemo(() => Object.values(fieldStats).flatMap((stats) => stats.images || []), [fieldStats])
+
+  return (
+    <div className={`${className} w-full rounded-md overflow-hidden border`}>
+      <MapContainer center={positions[0] || [0, 0]} zoom={positions.length ? 13 : 2} style={{ height: '100%', width: '100%' }}>
+        <BasemapLayer />
+        <FieldLayers items={items} />
+        <StressOverlay images={images} fields={fields} defaultLayers={[]} />
+        <FitBounds positions={positions} />
+      </MapContainer>
+    </div>
+  )
+}
+
+export default FieldsOverviewMap
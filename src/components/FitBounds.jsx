@@ -0,0 +1,17 @@
+import { useEffect } from 'react'
+import { useMap } from 'react-leaflet'
+import L from '@/lib/leaflet'
+
+// Fits the parent map to a list of [lat, lng] positions whenever the list
+// changes. Memoise `positions` so the view is not reset on every render.
+function FitBounds({ positions, padding = 20 }) {
+  const map = useMap()
+  useEffect(() => {
+    if (positions.length > 0) {
+      map.fitBounds(L.latLngBounds(positions), { padding: [padding, padding] })
+    }
+  }, [map, positions, padding])
+  return null
+}
+
+export default FitBounds
@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { AlertTriangle, CheckCircle, RotateCcw } from 'lucide-react'
+import {
+  RECENT_DAYS,
+  cropKey,
+  getHealthThresholds,
+  setHealthThresholds,
+  validateThresholds,
+} from '@/lib/health'
+
+function toDraft(limits) {
+  return { watch: String(limits.watch), stressed: String(limits.stressed) }
+}
+
+function fromDraft(draft) {
+  return { watch: Number(draft.watch), stressed: Number(draft.stressed) }
+}
+
+// Crop types of the user's fields and any that still have thresholds saved,
+// as [key, name] pairs
+function cropTypes(fields, saved) {
+  const crops = new Map()
+  for (const field of fields) {
+    const key = cropKey(field.crop_type)
+    if (key && !crops.has(key)) crops.set(key, field.crop_type.trim())
+  }
+  for (const key of Object.keys(saved)) {
+    if (!crops.has(key)) crops.set(key, key)
+  }
+  return [...crops.entries()].sort((a, b) => a[1].localeCompare(b[1]))
+}
+
+function ThresholdInputs({ id, draft, onChange, placeholder }) {
+  return (
+    <>
+      <Input
+        id={`${id}-watch`}
+        type="number"
+        min={1}
+        max={100}
+        value={draft?.watch ?? ''}
+        placeholder={placeholder?.watch}
+        onChange={(e) => onChange({ ...(draft || placeholder), watch: e.target.value })}
+        aria-label="Watch from"
+      />
+      <Input
+        id={`${id}-stressed`}
+        type="number"
+        min={1}
+        max={100}
+        value={draft?.stressed ?? ''}
+        placeholder={placeholder?.stressed}
+        onChange={(e) => onChange({ ...(draft || placeholder), stressed: e.target.value })}
+        aria-label="Stressed from"
+      />
+    </>
+  )
+}
+
+// When fields count as on watch or stressed, overall and per crop type. Crops
+// without their own thresholds use the overall ones.
+function HealthSettings({ fields }) {
+  const [saved, setSaved] = useState(getHealthThresholds)
+  const [defaultDraft, setDefaultDraft] = useState(() => toDraft(saved.default))
+  const [cropDrafts, setCropDrafts] = useState(() =>
+    Object.fromEntries(Object.entries(saved.crops).map(([key, limits]) => [key, toDraft(limits)]))
+  )
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState(false)
+  const crops = cropTypes(fields, saved.crops)
+
+  const updateCrop = (key, draft) => {
+    setCropDrafts({ ...cropDrafts, [key]: draft })
+    setSuccess(false)
+  }
+
+  const resetCrop = (key) => {
+    const { [key]: _removed, ...rest } = cropDrafts
+    setCropDrafts(rest)
+    setSuccess(false)
+  }
+
+  const handleSave = () => {
+    const next = {
+      default: fromDraft(defaultDraft),
+      crops: Object.fromEntries(Object.entries(cropDrafts).map(([key, draft]) => [key, fromDraft(draft)])),
+    }
+    const problem = validateThresholds(next.default) ||
+      Object.values(next.crops).map(validateThresholds).find(Boolean)
+    if (problem) {
+      setError(problem)
+      return
+    }
+    setHealthThresholds(next)
+    setSaved(next)
+    setError('')
+    setSuccess(true)
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Field Health Status</CardTitle>
+        <CardDescription>
+          A field is on watch or stressed once this share of its images from the last {RECENT_DAYS} days shows
+          moderate or severe stress.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {success && (
+          <Alert>
+            <CheckCircle className="h-4 w-4" />
+            <AlertDescription>Health thresholds saved.</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-[1fr_6rem_6rem_2.5rem] items-center gap-2 text-sm">
+          <span className="text-gray-600">Crop</span>
+          <span className="text-gray-600">Watch from %</span>
+          <span className="text-gray-600">Stressed from %</span>
+          <span />
+
+          <span className="font-medium">All crops</span>
+          <ThresholdInputs
+            id="default"
+            draft={defaultDraft}
+            onChange={(draft) => {
+              setDefaultDraft(draft)
+              setSuccess(false)
+            }}
+          />
+          <span />
+
+          {crops.map(([key, name]) => (
+            <div key={key} className="contents">
+              <span>{name}</span>
+              <ThresholdInputs
+                id={`crop-${key}`}
+                draft={cropDrafts[key]}
+                placeholder={defaultDraft}
+                onChange={(draft) => updateCrop(key, draft)}
+              />
+              {cropDrafts[key] ? (
+                <Button variant="ghost" size="icon" onClick={() => resetCrop(key)} title="Use the thresholds for all crops">
+                  <RotateCcw className="h-4 w-4" />
+                </Button>
+              ) : (
+                <span />
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave}>Save Thresholds</Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default HealthSettings
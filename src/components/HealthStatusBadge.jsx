@@ -0,0 +1,13 @@
+import { Badge } from '@/components/ui/badge.jsx'
+import { HEALTH_STATUS_META } from '@/lib/health'
+
+function HealthStatusBadge({ status, className = '' }) {
+  const meta = HEALTH_STATUS_META[status]
+  return (
+    <Badge variant="outline" className={`${meta.badgeClass} ${className}`}>
+      {meta.label}
+    </Badge>
+  )
+}
+
+export default HealthStatusBadge
@@ -0,0 +1,63 @@
+import { useEffect, useMemo } from 'react'
+import { MapContainer, Marker, Polygon, useMap, useMapEvents } from 'react-leaflet'
+import FitBounds from '@/components/FitBounds.jsx'
+import BasemapLayer from '@/components/BasemapLayer.jsx'
+import '@/lib/leaflet'
+import { fieldLatLngs } from '@/lib/geometry'
+
+function FollowPosition({ position }) {
+  const map = useMap()
+  useEffect(() => {
+    if (position) map.setView(position, map.getZoom() < 13 ? 15 : map.getZoom())
+  }, [map, position])
+  return null
+}
+
+function ClickToMove({ onMove }) {
+  useMapEvents({
+    click(e) {
+      onMove([e.latlng.lat, e.latlng.lng])
+    },
+  })
+  return null
+}
+
+// Small map to confirm where a photo was taken. The marker can be dragged, or
+// the map clicked, to correct the position; field boundaries are shown for
+// reference. Without a position the map shows all fields.
+function LocationPreviewMap({ position, fields = [], onChange, className = 'h-48' }) {
+  const outlines = useMemo(() => fields.map((field) => ({ id: field.id, positions: fieldLatLngs(field) })), [fields])
+  const allVertices = useMemo(() => outlines.flatMap((outline) => outline.positions), [outlines])
+
+  return (
+    <div className={`${className} w-full rounded-md overflow-hidden border`}>
+      <MapContainer center={position || [0, 0]} zoom={position ? 15 : 2} style={{ height: '100%', width: '100%' }}>
+        <BasemapLayer />
+        {outlines.map((outline) => (
+          <Polygon
+            key={outline.id}
+            positions={outline.positions}
+            pathOptions={{ color: '#16a34a', weight: 1, fillOpacity: 0.1 }}
+          />
+        ))}
+        {position && (
+          <Marker
+            position={position}
+            draggable={Boolean(onChange)}
+            eventHandlers={{
+              dragend: (e) => {
+                const { lat, lng } = e.target.getLatLng()
+                onChange([lat, lng])
+              },
+            }}
+          />
+        )}
+        {onChange && <ClickToMove onMove={onChange} />}
+        <FollowPosition position={position} />
+        {!position && allVertices.length > 0 && <FitBounds positions={allVertices} />}
+      </MapContainer>
+    </div>
+  )
+}
+
+export default LocationPreviewMap
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react'
+import L from '@/lib/leaflet'
+
+// Container for React controls in a corner of a Leaflet map. Clicks and
+// scrolls on it must not reach the map, where they would add points, move
+// markers or zoom.
+function MapControl({ position = 'topright', children }) {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(ref.current)
+    L.DomEvent.disableScrollPropagation(ref.current)
+  }, [])
+
+  const [vertical, horizontal] = position.match(/^(top|bottom)(left|right)$/).slice(1)
+
+  return (
+    <div className={`leaflet-${vertical} leaflet-${horizontal}`}>
+      <div ref={ref} className="leaflet-control">
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export default MapControl
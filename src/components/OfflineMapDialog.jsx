@@ -0,0 +1,228 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { MapContainer, Polygon, Rectangle, useMapEvents } from 'react-leaflet'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Slider } from '@/components/ui/slider.jsx'
+import { Progress } from '@/components/ui/progress.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx'
+import { AlertTriangle } from 'lucide-react'
+import FitBounds from '@/components/FitBounds.jsx'
+import BasemapLayer from '@/components/BasemapLayer.jsx'
+import '@/lib/leaflet'
+import { useBasemaps } from '@/hooks/use-basemaps'
+import { supportsOffline } from '@/lib/basemaps'
+import { boundsOf, fieldLatLngs } from '@/lib/geometry'
+import { formatBytes } from '@/lib/format'
+import {
+  MAX_PACK_TILES,
+  PACK_MAX_ZOOM,
+  PACK_MIN_ZOOM,
+  countTiles,
+  downloadTilePack,
+  estimatePackBytes,
+} from '@/lib/tiles'
+
+// Two clicks on the map set opposite corners of the area
+function RectangleDraw({ onChange }) {
+  const [corner, setCorner] = useState(null)
+  useMapEvents({
+    click(e) {
+      const point = [e.latlng.lat, e.latlng.lng]
+      if (!corner) {
+        setCorner(point)
+        onChange(null)
+      } else {
+        onChange(boundsOf([corner, point]))
+        setCorner(null)
+      }
+    },
+  })
+  return null
+}
+
+// Downloads map tiles for a field's surroundings, or for a rectangle drawn on
+// the map when no field is given, so the maps work without a connection.
+// Tiles come from the basemap currently selected.
+function OfflineMapDialog({ open, onOpenChange, field = null, onSaved }) {
+  const { basemaps, active: basemap } = useBasemaps()
+  const offlineBasemaps = basemaps.filter(supportsOffline)
+  const fieldOutline = useMemo(() => (field ? fieldLatLngs(field) : []), [field])
+  const fieldBounds = useMemo(() => boundsOf(fieldOutline, 0.1), [fieldOutline])
+  const [name, setName] = useState(field ? `${field.name} area` : '')
+  const [drawnBounds, setDrawnBounds] = useState(null)
+  const [zoomRange, setZoomRange] = useState([13, 17])
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState('')
+  const [freeBytes, setFreeBytes] = useState(null)
+  const controllerRef = useRef(null)
+
+  // No deeper than the basemap has tiles for; deeper requests would all fail
+  const maxZoom = Math.min(PACK_MAX_ZOOM, basemap.maxZoom)
+  const minZoom = Math.min(PACK_MIN_ZOOM, maxZoom)
+  const zooms = zoomRange.map((zoom) => Math.min(Math.max(zoom, minZoom), maxZoom))
+
+  const bounds = fieldBounds || drawnBounds
+  const tileCount = bounds ? countTiles(bounds, zooms[0], zooms[1]) : 0
+  const estimate = estimatePackBytes(tileCount)
+  const tooLarge = tileCount > MAX_PACK_TILES
+  const downloading = progress !== null
+
+  useEffect(() => {
+    navigator.storage?.estimate?.()
+      .then(({ quota, usage }) => setFreeBytes(quota - usage))
+      .catch(() => {})
+  }, [])
+
+  const handleDownload = async () => {
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setError('')
+    setProgress({ done: 0, total: tileCount, bytes: 0, failed: 0 })
+    try {
+      const pack = await downloadTilePack(
+        {
+          name: name.trim() || 'Offline area',
+          bounds,
+          minZoom: zooms[0],
+          maxZoom: zooms[1],
+          fieldId: field?.id ?? null,
+          source: {
+            name: basemap.name,
+            type: basemap.type,
+            url: basemap.url,
+            subdomains: basemap.subdomains,
+          },
+        },
+        { onProgress: setProgress, signal: controller.signal }
+      )
+      onSaved?.(pack)
+      onOpenChange(false)
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message || 'Failed to download map tiles')
+    } finally {
+      controllerRef.current = null
+      setProgress(null)
+    }
+  }
+
+  const handleOpenChange = (value) => {
+    if (!value) controllerRef.current?.abort()
+    onOpenChange(value)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Download Map for Offline Use</DialogTitle>
+          <DialogDescription>
+            {field
+              ? `Save map tiles around ${field.name} so its maps work without a connection.`
+              : 'Click two opposite corners on the map to choose the area to save.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="h-56 w-full rounded-md overflow-hidden border">
+          <MapContainer center={[20, 0]} zoom={2} style={{ height: '100%', width: '100%' }}>
+            <BasemapLayer />
+            {fieldOutline.length > 0 && (
+              <Polygon positions={fieldOutline} pathOptions={{ color: '#16a34a', weight: 2, fillOpacity: 0.15 }} />
+            )}
+            {fieldBounds && <FitBounds positions={fieldBounds} />}
+            {!field && !downloading && <RectangleDraw onChange={setDrawnBounds} />}
+            {bounds && <Rectangle bounds={bounds} pathOptions={{ color: '#2563eb', weight: 2, fillOpacity: 0.05 }} />}
+          </MapContainer>
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="packName">Name</Label>
+          <Input id="packName" value={name} onChange={(e) => setName(e.target.value)} disabled={downloading} />
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex justify-between text-sm">
+            <Label>Zoom levels</Label>
+            <span className="text-gray-600">{zooms[0]} – {zooms[1]}</span>
+          </div>
+          <Slider
+            min={minZoom}
+            max={maxZoom}
+            step={1}
+            minStepsBetweenThumbs={0}
+            value={zooms}
+            onValueChange={setZoomRange}
+            disabled={downloading}
+          />
+          <p className="text-xs text-gray-600">Higher zoom levels show more detail but need many more tiles.</p>
+        </div>
+
+        {bounds && (
+          <p className="text-sm text-gray-600">
+            {tileCount.toLocaleString()} {basemap.name} tiles, about {formatBytes(estimate)}
+            {freeBytes != null && ` · ${formatBytes(freeBytes)} free on this device`}
+          </p>
+        )}
+        {!supportsOffline(basemap) && (
+          <Alert>
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>
+              {basemap.type === 'wms'
+                ? `${basemap.name} is a WMS layer and cannot be saved offline.`
+                : basemap.custom
+                  ? `${basemap.name} is not marked as allowing offline use.`
+                  : 'The providers of the built-in map layers do not allow their tiles to be downloaded in bulk.'}{' '}
+              {offlineBasemaps.length > 0
+                ? `Switch the map to ${offlineBasemaps.map((option) => option.name).join(' or ')} to download this area.`
+                : 'To use maps offline, add a tile source of your own under Map Layers in Settings and tick Allows offline use.'}
+            </AlertDescription>
+          </Alert>
+        )}
+        {tooLarge && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>
+              Offline maps are limited to {MAX_PACK_TILES.toLocaleString()} tiles. Choose a smaller area or fewer zoom levels.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {downloading && (
+          <div className="space-y-1">
+            <Progress value={(progress.done / (progress.total || 1)) * 100} />
+            <p className="text-xs text-gray-600">
+              {progress.done} of {progress.total} tiles · {formatBytes(progress.bytes)}
+              {progress.failed > 0 && ` · ${progress.failed} failed`}
+            </p>
+          </div>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => (downloading ? controllerRef.current?.abort() : handleOpenChange(false))}>
+            Cancel
+          </Button>
+          <Button onClick={handleDownload} disabled={!bounds || tooLarge || downloading || tileCount === 0 || !supportsOffline(basemap)}>
+            {downloading ? 'Downloading...' : 'Download'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default OfflineMapDialog
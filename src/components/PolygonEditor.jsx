@@ -0,0 +1,158 @@
+import { useEffect, useMemo, useState } from 'react'
+import { MapContainer, Marker, Polygon, Polyline, useMapEvents } from 'react-leaflet'
+import { Button } from '@/components/ui/button.jsx'
+import { Undo2, Redo2, Trash2 } from 'lucide-react'
+import BasemapLayer from '@/components/BasemapLayer.jsx'
+import L from '@/lib/leaflet'
+
+const vertexIcon = L.divIcon({
+  className: '',
+  html: '<div class="h-3.5 w-3.5 rounded-full border-2 border-green-700 bg-white shadow"></div>',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7],
+})
+
+const midpointIcon = L.divIcon({
+  className: '',
+  html: '<div class="h-2.5 w-2.5 rounded-full border border-green-700 bg-white/70"></div>',
+  iconSize: [10, 10],
+  iconAnchor: [5, 5],
+})
+
+function ClickToAdd({ onAdd }) {
+  useMapEvents({
+    click(e) {
+      onAdd([e.latlng.lat, e.latlng.lng])
+    },
+  })
+  return null
+}
+
+function midpoint(a, b) {
+  return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]
+}
+
+function toPoint(latlng) {
+  return [latlng.lat, latlng.lng]
+}
+
+// Points with an in-progress drag applied, for the live outline
+function applyDrag(points, drag) {
+  if (!drag) return points
+  if (drag.kind === 'vertex') {
+    return points.map((p, i) => (i === drag.index ? drag.position : p))
+  }
+  return [...points.slice(0, drag.index + 1), drag.position, ...points.slice(drag.index + 1)]
+}
+
+// Field boundary editor. Click the map to append a vertex, drag a vertex to
+// move it, drag or click an edge midpoint to insert one, and right-click (or
+// long-press) a vertex to delete it. Each edit is one step on `history`, the
+// value returned by useHistory, so it can be undone with Ctrl+Z / Ctrl+Y.
+// Extra map layers can be passed as children.
+function PolygonEditor({ history, center, zoom = 10, className = 'h-64', children }) {
+  const points = history.present
+  const [drag, setDrag] = useState(null)
+  const { set, undo, redo } = history
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault()
+        redo()
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [undo, redo])
+
+  const outline = useMemo(() => applyDrag(points, drag), [points, drag])
+  const midpoints = useMemo(() => {
+    if (points.length < 2) return []
+    const edges = points.length >= 3 ? points.length : 1
+    return Array.from({ length: edges }, (_, i) => midpoint(points[i], points[(i + 1) % points.length]))
+  }, [points])
+
+  const addPoint = (point) => set([...points, point])
+
+  const deletePoint = (index) => set(points.filter((_, i) => i !== index))
+
+  const insertPoint = (index, point) => set([...points.slice(0, index + 1), point, ...points.slice(index + 1)])
+
+  return (
+    <div>
+      <div className={`${className} w-full rounded-md overflow-hidden border`}>
+        <MapContainer center={center} zoom={zoom} doubleClickZoom={false} style={{ height: '100%', width: '100%' }}>
+          <BasemapLayer />
+          <ClickToAdd onAdd={addPoint} />
+          {outline.length >= 3 && (
+            <Polygon positions={outline} pathOptions={{ color: '#15803d', weight: 2, fillOpacity: 0.2 }} />
+          )}
+          {outline.length === 2 && (
+            <Polyline positions={outline} pathOptions={{ color: '#15803d', weight: 2 }} />
+          )}
+          {points.map((position, idx) => (
+            <Marker
+              key={`vertex-${idx}`}
+              position={position}
+              icon={vertexIcon}
+              draggable
+              eventHandlers={{
+                drag: (e) => setDrag({ kind: 'vertex', index: idx, position: toPoint(e.target.getLatLng()) }),
+                dragend: (e) => {
+                  setDrag(null)
+                  set(points.map((p, i) => (i === idx ? toPoint(e.target.getLatLng()) : p)))
+                },
+                contextmenu: () => deletePoint(idx),
+              }}
+            />
+          ))}
+          {midpoints.map((position, idx) => (
+            // Hide the other midpoints while something is being dragged
+            (!drag || (drag.kind === 'midpoint' && drag.index === idx)) && (
+              <Marker
+                key={`midpoint-${idx}`}
+                position={position}
+                icon={midpointIcon}
+                draggable
+                eventHandlers={{
+                  click: () => insertPoint(idx, position),
+                  drag: (e) => setDrag({ kind: 'midpoint', index: idx, position: toPoint(e.target.getLatLng()) }),
+                  dragend: (e) => {
+                    setDrag(null)
+                    insertPoint(idx, toPoint(e.target.getLatLng()))
+                  },
+                }}
+              />
+            )
+          ))}
+          {children}
+        </MapContainer>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <Button type="button" variant="outline" size="sm" onClick={undo} disabled={!history.canUndo}>
+          <Undo2 className="h-4 w-4 mr-1" />
+          Undo
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={redo} disabled={!history.canRedo}>
+          <Redo2 className="h-4 w-4 mr-1" />
+          Redo
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={() => set([])} disabled={points.length === 0}>
+          <Trash2 className="h-4 w-4 mr-1" />
+          Clear Polygon
+        </Button>
+        <span className="text-xs text-gray-600">
+          {points.length} {points.length === 1 ? 'vertex' : 'vertices'} · drag to move · right-click or long-press to delete
+        </span>
+      </div>
+    </div>
+  )
+}
+
+export default PolygonEditor
@@ -0,0 +1,65 @@
+import { useRegisterSW } from 'virtual:pwa-register/react'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent } from '@/components/ui/card.jsx'
+import { RefreshCw, WifiOff } from 'lucide-react'
+
+// Tablets stay open for days, so look for a new build every hour as well as
+// on navigation
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+// Registers the service worker and tells the user when the app has been
+// cached for offline use, or when a new build is waiting to take over.
+function PwaUpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (registration) {
+        setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL)
+      }
+    },
+    onRegisterError(err) {
+      console.error('Service worker registration failed:', err)
+    },
+  })
+
+  if (!needRefresh && !offlineReady) return null
+
+  const close = () => {
+    setNeedRefresh(false)
+    setOfflineReady(false)
+  }
+
+  return (
+    <Card className="fixed bottom-4 right-4 z-50 w-80 shadow-lg py-4" role="alert">
+      <CardContent className="space-y-3 px-4">
+        <div className="flex items-start text-sm">
+          {needRefresh ? (
+            <RefreshCw className="h-4 w-4 mr-2 mt-0.5 shrink-0 text-green-600" />
+          ) : (
+            <WifiOff className="h-4 w-4 mr-2 mt-0.5 shrink-0 text-green-600" />
+          )}
+          <span>
+            {needRefresh
+              ? 'A new version of CropHealth is available. Reload to update.'
+              : 'CropHealth is ready to work offline.'}
+          </span>
+        </div>
+        <div className="flex justify-end space-x-2">
+          <Button variant="outline" size="sm" onClick={close}>
+            {needRefresh ? 'Later' : 'OK'}
+          </Button>
+          {needRefresh && (
+            <Button size="sm" onClick={() => updateServiceWorker(true)}>
+              Reload
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PwaUpdatePrompt
@@ -0,0 +1,23 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom'
+
+// Protected-route wrapper: unauthenticated visitors are sent to /login with
+// the page they asked for, so they can be sent back after signing in.
+export function RequireAuth({ isAuthenticated }) {
+  const location = useLocation()
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />
+  }
+  return <Outlet />
+}
+
+// The inverse, for /login and /register: signed-in users go back to where
+// they were headed.
+export function GuestOnly({ isAuthenticated, children }) {
+  const location = useLocation()
+  if (isAuthenticated) {
+    const from = location.state?.from
+    const to = from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/overview'
+    return <Navigate to={to} replace />
+  }
+  return children
+}
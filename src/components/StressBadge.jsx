@@ -0,0 +1,16 @@
+import { Badge } from '@/components/ui/badge.jsx'
+import { STRESS_META } from '@/lib/stress'
+
+function StressBadge({ level, className = '' }) {
+  const meta = STRESS_META[level]
+  if (!meta) {
+    return <Badge variant="outline" className={className}>Pending</Badge>
+  }
+  return (
+    <Badge variant="outline" className={`${meta.badgeClass} ${className}`}>
+      {meta.label}
+    </Badge>
+  )
+}
+
+export default StressBadge
@@ -0,0 +1,102 @@
+import { useMemo, useState } from 'react'
+import { CircleMarker, ImageOverlay, Pane, Tooltip } from 'react-leaflet'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog.jsx'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
+import AnalysisResult from '@/components/AnalysisResult.jsx'
+import MapControl from '@/components/MapControl.jsx'
+import { HEATMAP_GRADIENT, MIN_HEATMAP_POINTS, renderHeatmap, stressPoints } from '@/lib/heatmap'
+import { STRESS_META } from '@/lib/stress'
+
+function HeatmapLegend({ empty }) {
+  if (empty) {
+    return <p className="text-xs text-gray-600 max-w-40">A heatmap needs at least {MIN_HEATMAP_POINTS} samples in a field</p>
+  }
+  return (
+    <div className="w-40 space-y-1">
+      <div className="h-2 rounded-full" style={{ backgroundImage: HEATMAP_GRADIENT }} />
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>Healthy</span>
+        <span>Severe</span>
+      </div>
+    </div>
+  )
+}
+
+// Map layers for analysed images: a point per image coloured by stress class
+// and, when switched on, a heatmap of each of `fields` interpolated from them.
+// Clicking a point opens the image with its result. `defaultLayers` are the
+// ones shown at first. Goes inside a MapContainer.
+function StressOverlay({ images, fields, defaultLayers = ['points'] }) {
+  const [layers, setLayers] = useState(defaultLayers)
+  const [selected, setSelected] = useState(null)
+  const points = useMemo(() => stressPoints(images), [images])
+  const showHeatmap = layers.includes('heatmap')
+  const heatmaps = useMemo(
+    () => (showHeatmap ? fields.map((field) => ({ field, heatmap: renderHeatmap(field, points) })).filter((h) => h.heatmap) : []),
+    [showHeatmap, fields, points]
+  )
+  const selectedField = selected && fields.find((field) => field.id === selected.field_id)
+
+  return (
+    <>
+      {/* Below the boundaries and points, which share the overlay pane */}
+      <Pane name="stress-heatmap" style={{ zIndex: 350 }}>
+        {heatmaps.map(({ field, heatmap }) => (
+          <ImageOverlay key={field.id} url={heatmap.url} bounds={heatmap.bounds} opacity={0.65} />
+        ))}
+      </Pane>
+
+      {layers.includes('points') &&
+        points.map(({ image, lat, lng }) => (
+          <CircleMarker
+            key={image.id}
+            center={[lat, lng]}
+            radius={6}
+            pathOptions={{
+              color: '#ffffff',
+              weight: 1.5,
+              fillColor: STRESS_META[image.analysis.stress_level].color,
+              fillOpacity: 0.9,
+            }}
+            eventHandlers={{ click: () => setSelected(image) }}
+          >
+            <Tooltip>
+              {STRESS_META[image.analysis.stress_level].label} · {new Date(image.uploaded_at).toLocaleDateString()}
+            </Tooltip>
+          </CircleMarker>
+        ))}
+
+      <MapControl position="bottomleft">
+        <div className="bg-white rounded-md shadow-sm border p-1 space-y-1">
+          <ToggleGroup type="multiple" size="sm" value={layers} onValueChange={setLayers}>
+            <ToggleGroupItem value="points" className="px-2">
+              Points
+            </ToggleGroupItem>
+            <ToggleGroupItem value="heatmap" className="px-2">
+              Heatmap
+            </ToggleGroupItem>
+          </ToggleGroup>
+          {showHeatmap && (
+            <div className="px-1 pb-1">
+              <HeatmapLegend empty={heatmaps.length === 0} />
+            </div>
+          )}
+        </div>
+      </MapControl>
+
+      <Dialog open={Boolean(selected)} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Image Analysis</DialogTitle>
+            <DialogDescription>
+              {selected && `${Number(selected.latitude).toFixed(5)}, ${Number(selected.longitude).toFixed(5)}`}
+            </DialogDescription>
+          </DialogHeader>
+          {selected && <AnalysisResult image={selected} field={selectedField} />}
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
+
+export default StressOverlay
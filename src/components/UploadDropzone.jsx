@@ -0,0 +1,57 @@
+import { useRef, useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { ImagePlus } from 'lucide-react'
+
+// Drop target for photos, with a button to browse for them instead. Calls
+// `onFiles` with the image files only.
+function UploadDropzone({ onFiles, disabled = false }) {
+  const inputRef = useRef(null)
+  const [dragging, setDragging] = useState(false)
+
+  const acceptFiles = (fileList) => {
+    const images = [...fileList].filter((file) => file.type.startsWith('image/'))
+    if (images.length > 0) onFiles(images)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    if (!disabled) acceptFiles(e.dataTransfer.files)
+  }
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault()
+        if (!disabled) setDragging(true)
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false)
+      }}
+      onDrop={handleDrop}
+      className={`flex flex-col items-center justify-center rounded-md border-2 border-dashed p-8 text-center transition-colors ${
+        dragging ? 'border-green-600 bg-green-50' : 'border-gray-300'
+      }`}
+    >
+      <ImagePlus className="h-8 w-8 text-gray-400 mb-2" />
+      <p className="text-sm text-gray-600 mb-3">Drag and drop crop photos here</p>
+      <Button type="button" variant="outline" size="sm" onClick={() => inputRef.current?.click()} disabled={disabled}>
+        Browse Files
+      </Button>
+      <input
+        ref={inputRef}
+        id="imageFile"
+        type="file"
+        accept="image/*"
+        multiple
+        className="hidden"
+        onChange={(e) => {
+          acceptFiles(e.target.files)
+          e.target.value = ''
+        }}
+      />
+    </div>
+  )
+}
+
+export default UploadDropzone
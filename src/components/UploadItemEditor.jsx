@@ -0,0 +1,128 @@
+import { useMemo } from 'react'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { AlertTriangle, MapPin } from 'lucide-react'
+import LocationPreviewMap from '@/components/LocationPreviewMap.jsx'
+import { formatLength } from '@/lib/geometry'
+import { itemMatch, locateItem, parsePosition } from '@/lib/upload'
+
+// Location, field and capture time of one queued photo. Coordinates come from
+// EXIF when present and can be corrected by typing or on the map; the field
+// containing them is selected automatically.
+function UploadItemEditor({ item, fields, onChange, disabled = false }) {
+  const position = useMemo(() => parsePosition(item.latitude, item.longitude), [item.latitude, item.longitude])
+  const fieldMatch = useMemo(() => itemMatch(item, fields), [item, fields])
+  const selectedMatches = fieldMatch?.matches.some((field) => String(field.id) === item.fieldId)
+
+  const setCoordinates = (latitude, longitude) => {
+    onChange(locateItem(item, latitude, longitude, fields))
+  }
+
+  return (
+    <fieldset disabled={disabled} className="space-y-4">
+      <div>
+        <Label htmlFor="imageField">Select Field</Label>
+        <select
+          id="imageField"
+          className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50"
+          value={item.fieldId}
+          onChange={(e) => onChange({ fieldId: e.target.value })}
+        >
+          <option value="">-- Select a field --</option>
+          {fields.map(field => (
+            <option key={field.id} value={field.id}>{field.name}</option>
+          ))}
+        </select>
+        {fieldMatch?.matches.length === 1 && selectedMatches && (
+          <p className="text-sm text-gray-600 mt-1">Matched to {fieldMatch.matches[0].name} by location.</p>
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="imageLat">Latitude</Label>
+          <Input
+            id="imageLat"
+            type="number"
+            step="any"
+            value={item.latitude}
+            onChange={(e) => setCoordinates(e.target.value, item.longitude)}
+          />
+        </div>
+        <div>
+          <Label htmlFor="imageLon">Longitude</Label>
+          <Input
+            id="imageLon"
+            type="number"
+            step="any"
+            value={item.longitude}
+            onChange={(e) => setCoordinates(item.latitude, e.target.value)}
+          />
+        </div>
+      </div>
+      {item.locationSource === 'missing' && !position && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>
+            This photo has no GPS location. Enter the coordinates by hand, or click the map where it was taken.
+          </AlertDescription>
+        </Alert>
+      )}
+      {item.locationSource === 'exif' && (
+        <p className="flex items-center text-sm text-gray-600">
+          <MapPin className="h-4 w-4 mr-1" />
+          Location read from the photo. Drag the marker if it needs correcting.
+        </p>
+      )}
+      {item.locationSource === 'device' && (
+        <p className="flex items-center text-sm text-gray-600">
+          <MapPin className="h-4 w-4 mr-1" />
+          Location from this device when the photo was taken. Drag the marker if it needs correcting.
+        </p>
+      )}
+      <LocationPreviewMap
+        position={position}
+        fields={fields}
+        onChange={disabled ? undefined : ([lat, lon]) => setCoordinates(lat.toFixed(6), lon.toFixed(6))}
+      />
+      {fieldMatch && fieldMatch.matches.length === 0 && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>
+            These coordinates are outside all of your fields
+            {fieldMatch.nearest && ` (closest is ${fieldMatch.nearest.field.name}, ${formatLength(fieldMatch.nearest.distance)} away)`}.
+            Check the location before uploading.
+          </AlertDescription>
+        </Alert>
+      )}
+      {fieldMatch && fieldMatch.matches.length > 1 && (
+        <Alert>
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>
+            This location is inside overlapping fields: {fieldMatch.matches.map((field) => field.name).join(', ')}.
+            Make sure the right one is selected.
+          </AlertDescription>
+        </Alert>
+      )}
+      {fieldMatch?.matches.length === 1 && item.fieldId && !selectedMatches && (
+        <Alert>
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>
+            The coordinates are inside {fieldMatch.matches[0].name}, not the selected field.
+          </AlertDescription>
+        </Alert>
+      )}
+      <div>
+        <Label htmlFor="imageCapturedAt">Capture Time</Label>
+        <Input
+          id="imageCapturedAt"
+          type="datetime-local"
+          value={item.capturedAt}
+          onChange={(e) => onChange({ capturedAt: e.target.value })}
+        />
+      </div>
+    </fieldset>
+  )
+}
+
+export default UploadItemEditor
@@ -0,0 +1,134 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Progress } from '@/components/ui/progress.jsx'
+import { AlertTriangle, RotateCw, X } from 'lucide-react'
+import { formatBytes } from '@/lib/format'
+import { STRESS_META, formatConfidence } from '@/lib/stress'
+import { itemIssues, parsePosition } from '@/lib/upload'
+import { EDITABLE_STATUSES } from '@/lib/upload-queue'
+
+const STATUS_BADGES = {
+  reading: { label: 'Preparing', className: 'bg-gray-100 text-gray-700' },
+  ready: { label: 'Ready', className: 'bg-blue-100 text-blue-800' },
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-700' },
+  uploading: { label: 'Uploading', className: 'bg-blue-100 text-blue-800' },
+  done: { label: 'Uploaded', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+  waiting: { label: 'Pending sync', className: 'bg-amber-100 text-amber-800' },
+}
+
+// Stress class from the upload response, or that analysis is still running
+function ResultSummary({ analysis }) {
+  if (!analysis) return null
+  if (analysis.status === 'failed') {
+    return <div className="text-xs text-red-600">Analysis failed</div>
+  }
+  if (analysis.status !== 'completed') {
+    return <div className="text-xs text-gray-600">Analysing...</div>
+  }
+  const meta = STRESS_META[analysis.stress_level]
+  return (
+    <div className="text-xs" style={{ color: meta?.color }}>
+      {meta?.label || analysis.stress_level} · {formatConfidence(analysis.confidence)}
+    </div>
+  )
+}
+
+function UploadQueueRow({ item, fields, selected, onSelect, onRetry, onRemove }) {
+  const position = parsePosition(item.latitude, item.longitude)
+  const field = fields.find((f) => String(f.id) === item.fieldId)
+  const issues = EDITABLE_STATUSES.includes(item.status) ? itemIssues(item, fields) : []
+  const badge = STATUS_BADGES[item.status]
+
+  return (
+    <li
+      className={`flex items-center gap-3 p-2 cursor-pointer ${selected ? 'bg-green-50' : 'hover:bg-gray-50'}`}
+      onClick={() => onSelect(item.id)}
+    >
+      <img src={item.previewUrl} alt="" loading="lazy" className="h-12 w-12 shrink-0 rounded object-cover bg-gray-100" />
+      <div className="min-w-0 flex-1">
+        <div className="flex items-center gap-2">
+          <span className="truncate text-sm font-medium">{item.file.name}</span>
+          <span className="shrink-0 text-xs text-gray-500">
+            {item.originalSize && item.originalSize !== item.file.size
+              ? `${formatBytes(item.originalSize)} → ${formatBytes(item.file.size)}`
+              : formatBytes(item.file.size)}
+          </span>
+        </div>
+        <div className="text-xs text-gray-600 truncate">
+          {position ? `${position[0].toFixed(5)}, ${position[1].toFixed(5)}` : 'No location'}
+          {' · '}
+          {field ? field.name : 'No field'}
+        </div>
+        {item.status === 'uploading' && (
+          <div className="flex items-center gap-2 mt-1">
+            <Progress value={(item.loaded / (item.total || 1)) * 100} className="h-1.5" />
+            <span className="shrink-0 text-xs text-gray-500">
+              {formatBytes(item.loaded)} / {formatBytes(item.total)}
+            </span>
+          </div>
+        )}
+        {item.processingError && <div className="text-xs text-amber-700">{item.processingError}</div>}
+        {item.status === 'done' && <ResultSummary analysis={item.result?.image?.analysis} />}
+        {item.status === 'failed' && <div className="text-xs text-red-600">{item.error}</div>}
+        {item.status === 'waiting' && <div className="text-xs text-amber-700">{item.error}</div>}
+        {issues.map((issue) => (
+          <div key={issue.message} className={`flex items-center text-xs ${issue.blocking ? 'text-red-600' : 'text-amber-700'}`}>
+            <AlertTriangle className="h-3 w-3 mr-1" />
+            {issue.message}
+          </div>
+        ))}
+      </div>
+      <Badge variant="secondary" className={badge.className}>{badge.label}</Badge>
+      {item.status === 'failed' && (
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8"
+          title="Retry"
+          onClick={(e) => {
+            e.stopPropagation()
+            onRetry(item.id)
+          }}
+        >
+          <RotateCw className="h-4 w-4" />
+        </Button>
+      )}
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-8 w-8"
+        title={item.status === 'uploading' ? 'Cancel' : item.status === 'waiting' ? 'Discard' : 'Remove'}
+        onClick={(e) => {
+          e.stopPropagation()
+          onRemove(item.id)
+        }}
+      >
+        <X className="h-4 w-4" />
+      </Button>
+    </li>
+  )
+}
+
+// List of photos in the upload queue with thumbnail, coordinates, matched
+// field, per-file progress and status, including uploads waiting in the
+// offline outbox. Clicking a row selects it for editing.
+function UploadQueue({ items, fields, selectedId, onSelect, onRetry, onRemove }) {
+  return (
+    <ul className="border rounded-md divide-y max-h-[28rem] overflow-y-auto">
+      {items.map((item) => (
+        <UploadQueueRow
+          key={item.id}
+          item={item}
+          fields={fields}
+          selected={item.id === selectedId}
+          onSelect={onSelect}
+          onRetry={onRetry}
+          onRemove={onRemove}
+        />
+      ))}
+    </ul>
+  )
+}
+
+export default UploadQueue
@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Switch } from '@/components/ui/switch.jsx'
+import { Slider } from '@/components/ui/slider.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import {
+  IMAGE_PROCESSING_SUPPORTED,
+  MAX_DIMENSIONS,
+  OUTPUT_FORMATS,
+  getImageOptions,
+  setImageOptions,
+} from '@/lib/image-processing'
+
+const ORIGINAL_SIZE = '0'
+
+// How photos are shrunk before upload on this device
+function UploadSettings() {
+  const [options, setOptions] = useState(getImageOptions)
+
+  const update = (changes) => {
+    setImageOptions(changes)
+    setOptions(getImageOptions())
+  }
+
+  const disabled = !IMAGE_PROCESSING_SUPPORTED || !options.enabled
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Photo Uploads</CardTitle>
+        <CardDescription>
+          Smaller photos upload much faster on slow connections. Location and capture time are kept.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center justify-between gap-4">
+          <Label htmlFor="shrinkPhotos">
+            Shrink photos before upload
+            {!IMAGE_PROCESSING_SUPPORTED && ' (not supported by this browser)'}
+          </Label>
+          <Switch
+            id="shrinkPhotos"
+            checked={IMAGE_PROCESSING_SUPPORTED && options.enabled}
+            onCheckedChange={(enabled) => update({ enabled })}
+            disabled={!IMAGE_PROCESSING_SUPPORTED}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="maxDimension">Longest side</Label>
+            <Select
+              value={String(options.maxDimension)}
+              onValueChange={(value) => update({ maxDimension: Number(value) })}
+              disabled={disabled}
+            >
+              <SelectTrigger id="maxDimension" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {MAX_DIMENSIONS.map((size) => (
+                  <SelectItem key={size} value={String(size)}>{size} px</SelectItem>
+                ))}
+                <SelectItem value={ORIGINAL_SIZE}>Keep original size</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="outputFormat">Format</Label>
+            <Select value={options.type} onValueChange={(type) => update({ type })} disabled={disabled}>
+              <SelectTrigger id="outputFormat" className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {OUTPUT_FORMATS.map((format) => (
+                  <SelectItem key={format.value} value={format.value}>{format.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex justify-between text-sm">
+            <Label>Quality</Label>
+            <span className="text-gray-600">{Math.round(options.quality * 100)}%</span>
+          </div>
+          <Slider
+            min={50}
+            max={95}
+            step={5}
+            value={[Math.round(options.quality * 100)]}
+            onValueChange={([quality]) => update({ quality: quality / 100 })}
+            disabled={disabled}
+          />
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default UploadSettings
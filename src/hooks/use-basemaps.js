@@ -0,0 +1,42 @@
+import { createContext, useContext, useMemo, useState } from 'react'
+import {
+  BUILTIN_BASEMAPS,
+  DEFAULT_BASEMAP,
+  loadBasemapPrefs,
+  saveBasemapPrefs,
+} from '@/lib/basemaps'
+
+function basemapState(prefs, update) {
+  const basemaps = [...BUILTIN_BASEMAPS, ...prefs.custom]
+  return {
+    basemaps,
+    active: basemaps.find((basemap) => basemap.id === prefs.selected) || BUILTIN_BASEMAPS[0],
+    select: (id) => update({ selected: id }),
+    addCustom: (basemap) => update({ custom: [...prefs.custom, basemap] }),
+    removeCustom: (id) => update({
+      custom: prefs.custom.filter((basemap) => basemap.id !== id),
+      selected: prefs.selected === id ? DEFAULT_BASEMAP : prefs.selected,
+    }),
+  }
+}
+
+// Maps outside the dashboard get the built-in basemaps and nothing is saved
+export const BasemapContext = createContext(
+  basemapState({ selected: DEFAULT_BASEMAP, custom: [] }, () => {})
+)
+
+// Basemap list and selection for one user, saved as they change. The result
+// is provided through BasemapContext so every map shares it.
+export function useBasemapState(userId) {
+  const [prefs, setPrefs] = useState(() => loadBasemapPrefs(userId))
+
+  return useMemo(() => basemapState(prefs, (changes) => {
+    const next = { ...prefs, ...changes }
+    saveBasemapPrefs(userId, next)
+    setPrefs(next)
+  }), [prefs, userId])
+}
+
+export function useBasemaps() {
+  return useContext(BasemapContext)
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react'
+
+// iOS only reports orientation after asking, and the request must come from a
+// user gesture such as the click that opens the camera
+export async function requestCompassPermission() {
+  try {
+    await globalThis.DeviceOrientationEvent?.requestPermission?.()
+  } catch {
+    // Without permission there is simply no heading
+  }
+}
+
+// Compass heading in degrees clockwise from north while `enabled`, or null
+// when the device has no compass
+export function useCompassHeading(enabled) {
+  const [heading, setHeading] = useState(null)
+
+  useEffect(() => {
+    if (!enabled) return
+    const handleOrientation = (e) => {
+      if (e.webkitCompassHeading != null) {
+        setHeading(e.webkitCompassHeading)
+      } else if (e.absolute && e.alpha != null) {
+        setHeading((360 - e.alpha) % 360)
+      }
+    }
+    // Chrome reports north-referenced angles only through the 'absolute' event
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation'
+    window.addEventListener(eventName, handleOrientation)
+    return () => window.removeEventListener(eventName, handleOrientation)
+  }, [enabled])
+
+  return heading
+}
@@ -0,0 +1,27 @@
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react'
+import { api } from '@/lib/api'
+import { EVENTS_SUPPORTED } from '@/lib/events'
+
+// Keeps the live event channel open while mounted and passes each event to
+// `onEvent({ type, data })`. Returns the channel status; anything but 'open'
+// means updates have to be polled for.
+export function useEventChannel(onEvent) {
+  const [channel] = useState(() => api.openEventChannel())
+  const onEventRef = useRef(onEvent)
+
+  useEffect(() => {
+    onEventRef.current = onEvent
+  })
+
+  useEffect(() => {
+    if (!EVENTS_SUPPORTED) return
+    const unsubscribe = channel.on((event) => onEventRef.current(event))
+    channel.start()
+    return () => {
+      unsubscribe()
+      channel.stop()
+    }
+  }, [channel])
+
+  return useSyncExternalStore(channel.subscribe, channel.getStatus)
+}
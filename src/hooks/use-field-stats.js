@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+import { api } from '@/lib/api'
+
+// Stats of each of the fields `ids` for the last `days` days, as
+// { statsByField, loading, error } with `statsByField` mapping ids to stats
+// (null until the first results arrive). Keyed on the ids rather than field
+// objects, since the dashboard replaces its field list on every reload; pass
+// the dashboard's `revision` to fetch again after each reload. Fields that
+// fail to load are left out, keeping what they had before, and reported in
+// `error`. `loading` is only set while different ids or days are fetched.
+export function useFieldStats(ids, days, revision) {
+  const key = ids.join(',')
+  const request = `${key}|${days}`
+  const [state, setState] = useState({ request: null, statsByField: null, error: '' })
+
+  useEffect(() => {
+    const fieldIds = key ? key.split(',') : []
+    let cancelled = false
+    Promise.allSettled(fieldIds.map((id) => api.getFieldStats(id, days))).then((results) => {
+      if (cancelled) return
+      const failed = results.find((result) => result.status === 'rejected')
+      setState((current) => {
+        const previous = current.request === request ? current.statsByField : {}
+        const statsByField = {}
+        fieldIds.forEach((id, index) => {
+          const result = results[index]
+          if (result.status === 'fulfilled') statsByField[id] = result.value
+          else if (previous[id]) statsByField[id] = previous[id]
+        })
+        return {
+          request,
+          statsByField,
+          error: failed ? failed.reason.response?.data?.error || 'Failed to load field statistics' : '',
+        }
+      })
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [key, days, request, revision])
+
+  return { statsByField: state.statsByField, loading: state.request !== request, error: state.error }
+}
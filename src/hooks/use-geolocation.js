@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react'
+
+// Watches the device position while `enabled`. `position` holds the latest
+// coords ({ latitude, longitude, accuracy, altitude, heading, ... }) and
+// `error` the last failure message.
+export function useGeolocation(enabled) {
+  const [position, setPosition] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!enabled) return
+    if (!navigator.geolocation) {
+      setError('Location is not available on this device')
+      return
+    }
+    const watchId = navigator.geolocation.watchPosition(
+      (result) => {
+        setPosition(result.coords)
+        setError('')
+      },
+      (err) => setError(err.code === err.PERMISSION_DENIED ? 'Location permission was denied' : 'Waiting for a location fix'),
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    )
+    return () => navigator.geolocation.clearWatch(watchId)
+  }, [enabled])
+
+  return { position, error }
+}
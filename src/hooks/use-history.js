@@ -0,0 +1,52 @@
+import { useCallback, useReducer } from 'react'
+
+function historyReducer(state, action) {
+  switch (action.type) {
+    case 'set':
+      if (action.value === state.present) return state
+      return { past: [...state.past, state.present], present: action.value, future: [] }
+    case 'undo':
+      if (state.past.length === 0) return state
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+      }
+    case 'redo':
+      if (state.future.length === 0) return state
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+      }
+    case 'reset':
+      return { past: [], present: action.value, future: [] }
+    default:
+      return state
+  }
+}
+
+// Undo/redo stack for an immutable value. Every `set` is one undoable step;
+// `reset` replaces the value and forgets the history.
+export function useHistory(initialValue) {
+  const [state, dispatch] = useReducer(historyReducer, {
+    past: [],
+    present: initialValue,
+    future: [],
+  })
+
+  const set = useCallback((value) => dispatch({ type: 'set', value }), [])
+  const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+  const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+  const reset = useCallback((value) => dispatch({ type: 'reset', value }), [])
+
+  return {
+    present: state.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+  }
+}
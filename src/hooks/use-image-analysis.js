@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react'
+import { api } from '@/lib/api'
+
+const POLL_INTERVAL = 3000
+const MAX_POLL_INTERVAL = 30000
+
+export function isAnalysisPending(image) {
+  const status = image?.analysis?.status
+  return Boolean(image) && status !== 'completed' && status !== 'failed'
+}
+
+// Keeps an uploaded image's analysis up to date. While it is still being
+// processed the image is fetched again every few seconds, backing off after
+// errors; `onComplete(image)` runs once results arrive. A newer `initialImage`,
+// e.g. pushed by a live event, replaces the polled one.
+export function useImageAnalysis(initialImage, onComplete) {
+  const [image, setImage] = useState(initialImage)
+  const [lastInitialImage, setLastInitialImage] = useState(initialImage)
+  if (initialImage !== lastInitialImage) {
+    setLastInitialImage(initialImage)
+    setImage(initialImage)
+  }
+  const [error, setError] = useState('')
+  const [unavailable, setUnavailable] = useState(false)
+  const onCompleteRef = useRef(onComplete)
+  const pending = isAnalysisPending(image) && !unavailable
+  const imageId = image?.id
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete
+  })
+
+  useEffect(() => {
+    if (!pending) return
+    let cancelled = false
+    let timer = null
+    let delay = POLL_INTERVAL
+
+    const poll = async () => {
+      try {
+        const data = await api.getImage(imageId)
+        if (cancelled) return
+        setImage(data.image)
+        setError('')
+        if (!isAnalysisPending(data.image)) {
+          onCompleteRef.current?.(data.image)
+          return
+        }
+        delay = POLL_INTERVAL
+      } catch (err) {
+        if (cancelled) return
+        // A backend without the image endpoint cannot be polled
+        if (err.response?.status === 404) {
+          setUnavailable(true)
+          return
+        }
+        setError(err.response?.data?.error || 'Failed to check analysis')
+        delay = Math.min(delay * 2, MAX_POLL_INTERVAL)
+      }
+      timer = setTimeout(poll, delay)
+    }
+
+    timer = setTimeout(poll, delay)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [pending, imageId])
+
+  return { image, error, pending, unavailable }
+}
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react'
+
+function subscribe(callback) {
+  window.addEventListener('online', callback)
+  window.addEventListener('offline', callback)
+  return () => {
+    window.removeEventListener('online', callback)
+    window.removeEventListener('offline', callback)
+  }
+}
+
+// Whether the browser reports a network connection
+export function useOnline() {
+  return useSyncExternalStore(subscribe, () => navigator.onLine)
+}
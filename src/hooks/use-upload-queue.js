@@ -0,0 +1,34 @@
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react'
+import { UploadQueue } from '@/lib/upload-queue'
+
+// Upload queue for the signed-in user; see UploadQueue for the item
+// lifecycle and the offline outbox. `upload` and `onIdle` may change between
+// renders.
+export function useUploadQueue({ userId, upload, onIdle }) {
+  const callbacks = useRef({ upload, onIdle })
+  useEffect(() => {
+    callbacks.current = { upload, onIdle }
+  })
+
+  const [queue] = useState(() => new UploadQueue({
+    upload: (item, options) => callbacks.current.upload(item, options),
+    onIdle: () => callbacks.current.onIdle?.(),
+  }))
+
+  useEffect(() => {
+    queue.start(userId)
+    return () => queue.stop()
+  }, [queue, userId])
+
+  const items = useSyncExternalStore(queue.subscribe, queue.getItems)
+
+  return {
+    items,
+    add: queue.add,
+    update: queue.update,
+    remove: queue.remove,
+    enqueue: queue.enqueue,
+    sync: queue.sync,
+    clearFinished: queue.clearFinished,
+  }
+}
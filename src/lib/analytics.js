@@ -0,0 +1,101 @@
+import { differenceInCalendarDays, format, isValid, parseISO, startOfWeek, subDays } from 'date-fns'
+import { STRESS_LEVELS } from '@/lib/stress'
+
+// Aggregation of the `daily_stats` rows returned by the stats endpoints
+// ({ date: 'yyyy-MM-dd', total, healthy, moderate, severe }) for the
+// Analytics charts.
+
+// The stats endpoints only look back this far, enough to compare a season
+// with the one before. Anything asking them for a period uses this limit.
+export const MAX_LOOKBACK_DAYS = 730
+
+// Longest range offered on the Analytics tab
+export const MAX_RANGE_DAYS = 365
+
+// Longer ranges are charted by week so the bars stay readable
+const WEEKLY_AFTER_DAYS = 45
+
+export const DATE_PRESETS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: MAX_RANGE_DAYS, label: 'Last 12 months' },
+]
+
+export function toDateParam(date) {
+  return format(date, 'yyyy-MM-dd')
+}
+
+export function presetRange(days, today = new Date()) {
+  return { from: subDays(today, days - 1), to: today }
+}
+
+// The `days` parameter that covers `range`; the API counts back from today
+export function rangeDays(range, today = new Date()) {
+  const days = differenceInCalendarDays(today, range.from) + 1
+  return Math.min(Math.max(days, 1), MAX_LOOKBACK_DAYS)
+}
+
+export function bucketUnit(range) {
+  return differenceInCalendarDays(range.to, range.from) + 1 > WEEKLY_AFTER_DAYS ? 'week' : 'day'
+}
+
+function inRange(rows, range) {
+  const from = toDateParam(range.from)
+  const to = toDateParam(range.to)
+  return rows.filter((row) => row.date >= from && row.date <= to)
+}
+
+function bucketKey(date, unit) {
+  return unit === 'week' ? toDateParam(startOfWeek(parseISO(date), { weekStartsOn: 1 })) : date
+}
+
+// Rows within `range`, summed per day or per week (keyed by its Monday)
+export function groupStats(rows, range, unit) {
+  const buckets = new Map()
+  for (const row of inRange(rows, range)) {
+    const key = bucketKey(row.date, unit)
+    if (!buckets.has(key)) {
+      buckets.set(key, { date: key, total: 0, ...Object.fromEntries(STRESS_LEVELS.map((level) => [level, 0])) })
+    }
+    const bucket = buckets.get(key)
+    bucket.total += row.total
+    for (const level of STRESS_LEVELS) bucket[level] += row[level] || 0
+  }
+  return [...buckets.values()].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Percentage of each stress class per bucket, skipping buckets without images
+export function stressShares(buckets) {
+  return buckets
+    .filter((bucket) => bucket.total > 0)
+    .map((bucket) => ({
+      date: bucket.date,
+      ...Object.fromEntries(STRESS_LEVELS.map((level) => [level, Number(((bucket[level] / bucket.total) * 100).toFixed(1))])),
+    }))
+}
+
+// Share of stressed (moderate or severe) images per field and bucket, one
+// row per bucket with a column per field. Buckets where a field has no images
+// are left empty so its line bridges the gap.
+export function fieldTrends(fieldStats, range, unit) {
+  const series = fieldStats.map(({ field }) => ({ key: `field${field.id}`, name: field.name }))
+  const rows = new Map()
+  fieldStats.forEach(({ stats }, index) => {
+    for (const bucket of groupStats(stats.daily_stats || [], range, unit)) {
+      if (!rows.has(bucket.date)) rows.set(bucket.date, { date: bucket.date })
+      if (bucket.total > 0) {
+        rows.get(bucket.date)[series[index].key] = Number((((bucket.moderate + bucket.severe) / bucket.total) * 100).toFixed(1))
+      }
+    }
+  })
+  return { series, rows: [...rows.values()].sort((a, b) => a.date.localeCompare(b.date)) }
+}
+
+// Range from `?from=&to=` search params, or the last 30 days
+export function rangeFromParams(params, today = new Date()) {
+  const from = params.get('from') ? parseISO(params.get('from')) : null
+  const to = params.get('to') ? parseISO(params.get('to')) : today
+  if (!from || !isValid(from) || !isValid(to) || from > to) return presetRange(30, today)
+  return { from, to: to > today ? today : to }
+}
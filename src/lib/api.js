@@ -0,0 +1,132 @@
+import axios from 'axios'
+import { loadRuntimeConfig, resolveApiConfig, resolveEventsUrl } from '@/lib/config'
+import { EventChannel } from '@/lib/events'
+
+export const MOCK_API = import.meta.env.VITE_MOCK_API === 'true'
+
+// API Service
+class APIService {
+  constructor( ) {
+    this.token = localStorage.getItem('token')
+    this.config = resolveApiConfig()
+    this.axios = axios.create({
+      baseURL: this.config.baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    })
+
+    // Add token to requests if available
+    this.axios.interceptors.request.use((config) => {
+      if (this.token) {
+        config.headers.Authorization = `Bearer ${this.token}`
+      }
+      return config
+    })
+  }
+
+  // Load config.json and point the axios instance at the resolved endpoint.
+  // Must finish before the first request is made.
+  async init() {
+    await loadRuntimeConfig()
+    this.config = resolveApiConfig()
+    this.axios.defaults.baseURL = this.config.baseURL
+
+    if (MOCK_API) {
+      // Loaded on demand so the mock never ships in a normal build
+      const { installMockBackend, MockEventSource } = await import('@/lib/mock')
+      await installMockBackend(this.axios)
+      this.createEventSource = (url) => new MockEventSource(url)
+      this.config = { ...this.config, source: 'mock' }
+    }
+    return this.config
+  }
+
+  setToken(token) {
+    this.token = token
+    localStorage.setItem('token', token)
+  }
+
+  clearToken() {
+    this.token = null
+    localStorage.removeItem('token')
+  }
+
+  // Live event stream for the signed-in user; see lib/events.js. EventSource
+  // cannot send headers, so the token goes in the query string.
+  openEventChannel() {
+    return new EventChannel({
+      url: () => `${resolveEventsUrl(this.axios.defaults.baseURL)}?token=${encodeURIComponent(this.token)}`,
+      createSource: this.createEventSource,
+    })
+  }
+
+  async register(userData) {
+    const response = await this.axios.post('/register', userData)
+    return response.data
+  }
+
+  async login(credentials) {
+    const response = await this.axios.post('/login', credentials)
+    if (response.data.access_token) {
+      this.setToken(response.data.access_token)
+    }
+    return response.data
+  }
+
+  async getProfile() {
+    const response = await this.axios.get('/profile')
+    return response.data
+  }
+
+  async getFields() {
+    const response = await this.axios.get('/fields')
+    return response.data
+  }
+
+  async createField(fieldData) {
+    const response = await this.axios.post('/fields', fieldData)
+    return response.data
+  }
+
+  async updateField(fieldId, fieldData) {
+    const response = await this.axios.put(`/fields/${fieldId}`, fieldData)
+    return response.data
+  }
+
+  async deleteField(fieldId) {
+    const response = await this.axios.delete(`/fields/${fieldId}`)
+    return response.data
+  }
+
+  // `options` may carry axios' onUploadProgress and an AbortSignal
+  async uploadImage(formData, { onUploadProgress, signal } = {}) {
+    const response = await this.axios.post('/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      onUploadProgress,
+      signal,
+    })
+    return response.data
+  }
+
+  // A single uploaded image with its current analysis, for polling results
+  // that are still being processed
+  async getImage(imageId) {
+    const response = await this.axios.get(`/images/${imageId}`)
+    return response.data
+  }
+
+  async getFieldStats(fieldId, days = 30) {
+    const response = await this.axios.get(`/field/${fieldId}/stats?days=${days}`)
+    return response.data
+  }
+
+  async getOverallStats(days = 30) {
+    const response = await this.axios.get(`/stats?days=${days}`)
+    return response.data
+  }
+}
+
+export const api = new APIService()
@@ -0,0 +1,130 @@
+import { OSM_TILES } from '@/lib/tiles'
+
+// Basemaps shown under every map. Besides the built-in ones, custom XYZ, TMS
+// or WMS sources can be added from Settings. The custom sources and the
+// chosen basemap are saved in localStorage per user.
+//
+// The built-in providers' terms forbid bulk downloads, so only custom sources
+// marked as allowing offline use can be saved as tile packs.
+
+export const BASEMAP_TYPES = [
+  { value: 'xyz', label: 'XYZ tiles' },
+  { value: 'tms', label: 'TMS tiles' },
+  { value: 'wms', label: 'WMS' },
+]
+
+export const BUILTIN_BASEMAPS = [
+  {
+    id: 'osm',
+    name: 'Streets',
+    type: 'xyz',
+    ...OSM_TILES,
+    maxZoom: 19,
+    attribution: '&copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors',
+  },
+  {
+    id: 'satellite',
+    name: 'Satellite',
+    type: 'xyz',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    maxZoom: 19,
+    attribution: 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics and the GIS User Community',
+  },
+  {
+    id: 'topo',
+    name: 'Topographic',
+    type: 'xyz',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    maxZoom: 17,
+    attribution: 'Map data &copy; <a href="http://osm.org/copyright">OpenStreetMap</a> contributors, SRTM | Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+  },
+]
+
+export const DEFAULT_BASEMAP = 'osm'
+
+// Deepest zoom any map allows; basemaps with fewer native levels are scaled up
+export const MAP_MAX_ZOOM = 20
+
+// Accounts have no roles yet, so everyone manages their own sources. Once the
+// API reports a role, only admins can.
+export function canManageBasemaps(user) {
+  return !user?.role || user.role === 'admin'
+}
+
+function prefsKey(userId) {
+  return `basemaps:${userId}`
+}
+
+export function loadBasemapPrefs(userId) {
+  try {
+    const prefs = JSON.parse(localStorage.getItem(prefsKey(userId))) || {}
+    return { selected: prefs.selected || DEFAULT_BASEMAP, custom: prefs.custom || [] }
+  } catch {
+    return { selected: DEFAULT_BASEMAP, custom: [] }
+  }
+}
+
+export function saveBasemapPrefs(userId, prefs) {
+  localStorage.setItem(prefsKey(userId), JSON.stringify(prefs))
+}
+
+// Problem with a custom source as entered, or '' when it can be added
+export function validateBasemap(source, basemaps) {
+  const name = source.name.trim()
+  if (!name) return 'Name is required'
+  if (basemaps.some((basemap) => basemap.name.toLowerCase() === name.toLowerCase())) {
+    return `A map layer named ${name} already exists`
+  }
+  if (!/^https?:\/\//.test(source.url.trim())) return 'URL must start with http:// or https://'
+  if (source.type === 'wms') {
+    if (!source.layers.trim()) return 'WMS layer names are required'
+  } else if (!['{z}', '{x}', '{y}'].every((part) => source.url.includes(part))) {
+    return 'Tile URL must contain {z}, {x} and {y}'
+  }
+  const maxZoom = Number(source.maxZoom)
+  if (!Number.isInteger(maxZoom) || maxZoom < 1 || maxZoom > MAP_MAX_ZOOM) {
+    return `Max zoom must be a whole number from 1 to ${MAP_MAX_ZOOM}`
+  }
+  return ''
+}
+
+export function createBasemap(source) {
+  const basemap = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: source.name.trim(),
+    type: source.type,
+    url: source.url.trim(),
+    maxZoom: Number(source.maxZoom),
+    attribution: source.attribution.trim(),
+    custom: true,
+    offline: source.type !== 'wms' && source.offline === true,
+  }
+  if (source.type === 'wms') basemap.layers = source.layers.trim()
+  if (basemap.url.includes('{s}')) basemap.subdomains = 'abc'
+  return basemap
+}
+
+// Leaflet layer options. Undefined values would override Leaflet's defaults,
+// so only set ones are included.
+export function layerOptions(basemap) {
+  const options = {
+    attribution: basemap.attribution,
+    maxZoom: MAP_MAX_ZOOM,
+    maxNativeZoom: basemap.maxZoom,
+  }
+  if (basemap.subdomains) options.subdomains = basemap.subdomains
+  if (basemap.type === 'tms') options.tms = true
+  if (basemap.type === 'wms') {
+    options.layers = basemap.layers
+    options.format = 'image/png'
+  }
+  return options
+}
+
+// WMS images are requested by bounding box rather than tile index, so they
+// cannot be saved as an offline tile pack, and neither can sources whose
+// terms do not allow it
+export function supportsOffline(basemap) {
+  return basemap.type !== 'wms' && basemap.offline === true
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest'
+import { BUILTIN_BASEMAPS, createBasemap, supportsOffline } from '@/lib/basemaps'
+
+const customSource = {
+  type: 'xyz',
+  name: 'Drone survey',
+  url: 'https://tiles.example.com/{z}/{x}/{y}.png',
+  layers: '',
+  attribution: '',
+  maxZoom: '19',
+  offline: true,
+}
+
+describe('supportsOffline', () => {
+  it('rejects the OpenStreetMap basemap', () => {
+    const osm = BUILTIN_BASEMAPS.find((basemap) => basemap.id === 'osm')
+    expect(supportsOffline(osm)).toBe(false)
+  })
+
+  it('rejects every built-in basemap', () => {
+    expect(BUILTIN_BASEMAPS.filter(supportsOffline)).toEqual([])
+  })
+
+  it('rejects WMS sources even when marked for offline use', () => {
+    const wms = createBasemap({ ...customSource, type: 'wms', url: 'https://maps.example.com/wms', layers: 'ortho' })
+    expect(supportsOffline(wms)).toBe(false)
+  })
+
+  it('rejects custom tile sources not marked for offline use', () => {
+    expect(supportsOffline(createBasemap({ ...customSource, offline: false }))).toBe(false)
+  })
+
+  it('accepts custom tile sources that allow offline use', () => {
+    expect(supportsOffline(createBasemap(customSource))).toBe(true)
+  })
+})
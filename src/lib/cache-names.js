@@ -0,0 +1,7 @@
+// Cache Storage names shared by the service worker config in vite.config.js
+// and the app. Kept free of browser APIs so the build config can import it.
+
+export const API_CACHE = 'api-data'
+export const TILE_CACHE = 'map-tiles'
+// Tiles saved for offline use by the user; never expired automatically
+export const TILE_PACK_CACHE = 'tile-packs'
@@ -0,0 +1,154 @@
+import { addDays, differenceInCalendarDays, format, isValid, parseISO, subDays, subYears } from 'date-fns'
+import { STRESS_LEVELS } from '@/lib/stress'
+import { MAX_LOOKBACK_DAYS, bucketUnit, presetRange, rangeDays, toDateParam } from '@/lib/analytics'
+
+// Comparisons of fields and time windows. Each selected field is compared in
+// each selected window; windows are aligned by their first day so different
+// seasons can share an axis.
+
+export const MAX_COMPARE_FIELDS = 5
+export const MAX_COMPARE_WINDOWS = 3
+
+const WINDOW_SEPARATOR = '..'
+
+function windowLength(window) {
+  return differenceInCalendarDays(window.to, window.from) + 1
+}
+
+// Whether the stats endpoints reach back to the start of `window`
+function reachable(window, today) {
+  return differenceInCalendarDays(today, window.from) < MAX_LOOKBACK_DAYS
+}
+
+function parseWindow(value, today) {
+  const [from, to] = value.split(WINDOW_SEPARATOR).map((part) => parseISO(part))
+  if (!isValid(from) || !isValid(to) || from > to || to > today) return null
+  return reachable({ from, to }, today) ? { from, to } : null
+}
+
+// Selection from `?field=<id>&window=<from>..<to>` search params (repeated).
+// Field ids stay strings, to be matched with String(field.id), so any id the
+// API uses works. Invalid or unreachable windows are dropped; with none left
+// it is the last 30 days.
+export function parseComparison(params, today = new Date()) {
+  const fieldIds = [...new Set(params.getAll('field').map((id) => id.trim()).filter(Boolean))].slice(0, MAX_COMPARE_FIELDS)
+  const windows = params
+    .getAll('window')
+    .map((value) => parseWindow(value, today))
+    .filter(Boolean)
+    .slice(0, MAX_COMPARE_WINDOWS)
+  return { fieldIds, windows: windows.length > 0 ? windows : [presetRange(30, today)] }
+}
+
+export function comparisonParams({ fieldIds, windows }) {
+  const params = new URLSearchParams()
+  for (const id of fieldIds) params.append('field', id)
+  for (const window of windows) {
+    params.append('window', `${toDateParam(window.from)}${WINDOW_SEPARATOR}${toDateParam(window.to)}`)
+  }
+  return params
+}
+
+export function windowLabel(window) {
+  const sameYear = window.from.getFullYear() === window.to.getFullYear()
+  return `${format(window.from, sameYear ? 'MMM d' : 'MMM d, yyyy')} – ${format(window.to, 'MMM d, yyyy')}`
+}
+
+// A window of the same length right before `window`, or the same dates a year
+// earlier. Null when the stats endpoints cannot reach that far back.
+export function previousWindow(window, kind, today = new Date()) {
+  const next = kind === 'year'
+    ? { from: subYears(window.from, 1), to: subYears(window.to, 1) }
+    : { from: subDays(window.from, windowLength(window)), to: subDays(window.from, 1) }
+  return reachable(next, today) ? next : null
+}
+
+// The `days` needed to fetch stats covering every window
+export function comparisonDays(windows, today = new Date()) {
+  return Math.max(...windows.map((window) => rangeDays(window, today)))
+}
+
+// Days or weeks, by the longest window
+export function comparisonUnit(windows) {
+  const longest = windows.reduce((a, b) => (windowLength(b) > windowLength(a) ? b : a))
+  return bucketUnit(longest)
+}
+
+// `daily_stats` rows within `window`, summed per day or per 7 days counted
+// from its first day. Every bucket is present, empty ones with a total of 0.
+export function alignedBuckets(rows, window, unit) {
+  const size = unit === 'week' ? 7 : 1
+  const length = windowLength(window)
+  const buckets = Array.from({ length: Math.ceil(length / size) }, (_, index) => ({
+    index,
+    date: toDateParam(addDays(window.from, index * size)),
+    total: 0,
+    ...Object.fromEntries(STRESS_LEVELS.map((level) => [level, 0])),
+  }))
+  for (const row of rows) {
+    const offset = differenceInCalendarDays(parseISO(row.date), window.from)
+    if (offset < 0 || offset >= length) continue
+    const bucket = buckets[Math.floor(offset / size)]
+    bucket.total += row.total
+    for (const level of STRESS_LEVELS) bucket[level] += row[level] || 0
+  }
+  return buckets
+}
+
+function percentage(part, total) {
+  return total > 0 ? Number(((part / total) * 100).toFixed(1)) : null
+}
+
+export function stressedShare(bucket) {
+  return percentage(bucket.moderate + bucket.severe, bucket.total)
+}
+
+// Totals and shares over a series' buckets; shares are null without images
+export function seriesMetrics(buckets) {
+  const totals = { total: 0, ...Object.fromEntries(STRESS_LEVELS.map((level) => [level, 0])) }
+  for (const bucket of buckets) {
+    totals.total += bucket.total
+    for (const level of STRESS_LEVELS) totals[level] += bucket[level]
+  }
+  return {
+    total: totals.total,
+    ...Object.fromEntries(STRESS_LEVELS.map((level) => [level, percentage(totals[level], totals.total)])),
+    stressed: stressedShare(totals),
+  }
+}
+
+// One series per field and window. Names only carry what differs between
+// series, so a single window is left out of them and so is a single field.
+export function buildSeries(fields, windows, statsByField) {
+  const unit = comparisonUnit(windows)
+  const series = []
+  for (const field of fields) {
+    windows.forEach((window, windowIndex) => {
+      const parts = []
+      if (fields.length > 1 || windows.length === 1) parts.push(field.name)
+      if (windows.length > 1) parts.push(windowLabel(window))
+      const buckets = alignedBuckets(statsByField[field.id]?.daily_stats || [], window, unit)
+      series.push({
+        key: `series${series.length}`,
+        name: parts.join(' · '),
+        field,
+        window,
+        windowIndex,
+        buckets,
+        metrics: seriesMetrics(buckets),
+      })
+    })
+  }
+  return { unit, series }
+}
+
+// Chart rows by bucket index with a column per series
+export function alignedRows(series, value) {
+  const length = Math.max(0, ...series.map((s) => s.buckets.length))
+  return Array.from({ length }, (_, index) => ({
+    index,
+    ...Object.fromEntries(
+      series.filter((s) => s.buckets[index]).map((s) => [s.key, value(s.buckets[index])])
+    ),
+  }))
+}
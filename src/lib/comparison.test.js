@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest'
+import { MAX_COMPARE_FIELDS, parseComparison } from '@/lib/comparison'
+
+const today = new Date(2026, 5, 15)
+
+describe('parseComparison', () => {
+  it('keeps field ids as trimmed strings', () => {
+    const params = new URLSearchParams('field=12&field=%20b7f3-uuid%20&field=')
+    expect(parseComparison(params, today).fieldIds).toEqual(['12', 'b7f3-uuid'])
+  })
+
+  it('drops repeated ids and keeps at most MAX_COMPARE_FIELDS', () => {
+    const ids = ['1', '1', ...Array.from({ length: MAX_COMPARE_FIELDS + 2 }, (_, index) => String(index + 2))]
+    const params = new URLSearchParams(ids.map((id) => ['field', id]))
+    const { fieldIds } = parseComparison(params, today)
+    expect(fieldIds[0]).toBe('1')
+    expect(fieldIds).toHaveLength(MAX_COMPARE_FIELDS)
+    expect(new Set(fieldIds).size).toBe(MAX_COMPARE_FIELDS)
+  })
+})
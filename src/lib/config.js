@@ -0,0 +1,124 @@
+// Runtime API configuration
+//
+// The API base URL is resolved in this order:
+//   1. a profile or custom URL picked in the hidden settings panel (stored in localStorage)
+//   2. `config.json` served next to index.html, so one Docker image can ship to every environment
+//   3. VITE_API_BASE_URL / VITE_API_PROFILE at build time
+//   4. the production profile
+//
+// The live event stream is served from `<base URL>/events` unless `eventsUrl`
+// in config.json or VITE_API_EVENTS_URL points elsewhere, e.g. at the local
+// event server (scripts/event-server.js).
+
+const OVERRIDE_KEY = 'apiOverride'
+const CONFIG_KEY = 'runtimeConfig'
+
+export const DEFAULT_PROFILE = 'production'
+
+export const API_PROFILES = {
+  local: import.meta.env.VITE_API_LOCAL_URL || 'http://localhost:5000/api',
+  staging: import.meta.env.VITE_API_STAGING_URL || '',
+  production: import.meta.env.VITE_API_PRODUCTION_URL || 'https://crophealth-backend.onrender.com/api',
+}
+
+let runtimeConfig = {}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+function getSavedConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG_KEY))
+    return isPlainObject(saved) ? saved : {}
+  } catch {
+    return {}
+  }
+}
+
+// Fetch config.json once at startup. A missing or malformed file is not an
+// error: the build-time settings are used instead. The last config fetched is
+// kept in localStorage, so when the request fails offline the app still talks
+// to the same API and finds its cached responses.
+export async function loadRuntimeConfig() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}config.json`, { cache: 'no-store' })
+    // 404 means this deployment has no config.json; other errors are passing
+    if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`)
+    let config = {}
+    if (response.ok) {
+      try {
+        const data = await response.json()
+        if (isPlainObject(data)) config = data
+      } catch {
+        config = {}
+      }
+    }
+    runtimeConfig = config
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config))
+  } catch (err) {
+    console.warn('Could not load runtime config.json:', err)
+    runtimeConfig = getSavedConfig()
+  }
+  return runtimeConfig
+}
+
+export function getProfiles() {
+  const profiles = { ...API_PROFILES }
+  const configured = isPlainObject(runtimeConfig.profiles) ? runtimeConfig.profiles : {}
+  for (const [name, url] of Object.entries(configured)) {
+    if (url) profiles[name] = url
+  }
+  return profiles
+}
+
+export function getApiOverride() {
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDE_KEY)) || null
+  } catch {
+    return null
+  }
+}
+
+export function setApiOverride(override) {
+  localStorage.setItem(OVERRIDE_KEY, JSON.stringify(override))
+}
+
+export function clearApiOverride() {
+  localStorage.removeItem(OVERRIDE_KEY)
+}
+
+// Returns { profile, baseURL, source } describing where the API lives.
+// `profile` is null when a custom URL is in use.
+export function resolveApiConfig() {
+  const profiles = getProfiles()
+  const override = getApiOverride()
+
+  if (override?.customUrl) {
+    return { profile: null, baseURL: override.customUrl, source: 'settings' }
+  }
+  if (override?.profile && profiles[override.profile]) {
+    return { profile: override.profile, baseURL: profiles[override.profile], source: 'settings' }
+  }
+
+  if (runtimeConfig.apiBaseUrl) {
+    return { profile: null, baseURL: runtimeConfig.apiBaseUrl, source: 'config.json' }
+  }
+  if (runtimeConfig.profile && profiles[runtimeConfig.profile]) {
+    return { profile: runtimeConfig.profile, baseURL: profiles[runtimeConfig.profile], source: 'config.json' }
+  }
+
+  if (import.meta.env.VITE_API_BASE_URL) {
+    return { profile: null, baseURL: import.meta.env.VITE_API_BASE_URL, source: 'env' }
+  }
+  const envProfile = import.meta.env.VITE_API_PROFILE
+  if (envProfile && profiles[envProfile]) {
+    return { profile: envProfile, baseURL: profiles[envProfile], source: 'env' }
+  }
+
+  return { profile: DEFAULT_PROFILE, baseURL: profiles[DEFAULT_PROFILE], source: 'default' }
+}
+
+export function resolveEventsUrl(baseURL) {
+  return runtimeConfig.eventsUrl || import.meta.env.VITE_API_EVENTS_URL || `${baseURL}/events`
+}
@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { getProfiles, loadRuntimeConfig, resolveApiConfig } from '@/lib/config'
+
+function memoryStorage() {
+  const values = new Map()
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  }
+}
+
+function respondWith(body, status = 200) {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status })))
+}
+
+describe('loadRuntimeConfig', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', memoryStorage())
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('ignores a config.json that is not an object', async () => {
+    respondWith('null')
+    await expect(loadRuntimeConfig()).resolves.toEqual({})
+    expect(() => getProfiles()).not.toThrow()
+
+    respondWith('[1, 2]')
+    await expect(loadRuntimeConfig()).resolves.toEqual({})
+  })
+
+  it('ignores profiles that are not an object', async () => {
+    respondWith(JSON.stringify({ profiles: 'staging' }))
+    await loadRuntimeConfig()
+    expect(Object.keys(getProfiles())).toEqual(['local', 'staging', 'production'])
+  })
+
+  it('falls back to the last config when offline', async () => {
+    respondWith(JSON.stringify({ apiBaseUrl: 'https://api.example.com' }))
+    await loadRuntimeConfig()
+
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      throw new TypeError('Failed to fetch')
+    }))
+    await loadRuntimeConfig()
+    expect(resolveApiConfig()).toEqual({ profile: null, baseURL: 'https://api.example.com', source: 'config.json' })
+  })
+
+  it('forgets the last config once the deployment has none', async () => {
+    respondWith(JSON.stringify({ apiBaseUrl: 'https://api.example.com' }))
+    await loadRuntimeConfig()
+    respondWith('Not found', 404)
+    await expect(loadRuntimeConfig()).resolves.toEqual({})
+  })
+})
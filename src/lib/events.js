@@ -0,0 +1,120 @@
+// Live updates from the backend over Server-Sent Events. The server sends
+// named events whose data is JSON:
+//
+//   analysis.completed  { image }        an uploaded image has its results
+//   field.created       { field }
+//   field.updated       { field }
+//   field.deleted       { field_id }
+//   stats.updated       {}               totals were recomputed
+//
+// The channel reconnects with exponential backoff after any error. While it
+// is not connected, consumers are expected to poll instead (see `status`).
+
+export const EVENT_TYPES = ['analysis.completed', 'field.created', 'field.updated', 'field.deleted', 'stats.updated']
+
+const MIN_RECONNECT_DELAY = 1000
+const MAX_RECONNECT_DELAY = 30 * 1000
+
+export const EVENTS_SUPPORTED = typeof EventSource !== 'undefined'
+
+// Status is 'idle' before start, 'connecting', 'open', or 'reconnecting'
+// while waiting to try again
+export class EventChannel {
+  constructor({ url, createSource = (href) => new EventSource(href) }) {
+    this.url = url
+    this.createSource = createSource
+    this.source = null
+    this.status = 'idle'
+    this.delay = MIN_RECONNECT_DELAY
+    this.timer = null
+    this.active = false
+    this.statusListeners = new Set()
+    this.eventListeners = new Set()
+  }
+
+  // For useSyncExternalStore
+  subscribe = (listener) => {
+    this.statusListeners.add(listener)
+    return () => this.statusListeners.delete(listener)
+  }
+
+  getStatus = () => this.status
+
+  // `listener({ type, data })` for every event received
+  on(listener) {
+    this.eventListeners.add(listener)
+    return () => this.eventListeners.delete(listener)
+  }
+
+  setStatus(status) {
+    this.status = status
+    for (const listener of this.statusListeners) listener()
+  }
+
+  start() {
+    this.active = true
+    window.addEventListener('online', this.reconnectNow)
+    this.connect()
+  }
+
+  stop() {
+    this.active = false
+    window.removeEventListener('online', this.reconnectNow)
+    clearTimeout(this.timer)
+    this.source?.close()
+    this.source = null
+    this.setStatus('idle')
+  }
+
+  connect() {
+    if (!this.active) return
+    this.setStatus('connecting')
+    const source = this.createSource(this.url())
+    this.source = source
+
+    source.addEventListener('open', () => {
+      this.delay = MIN_RECONNECT_DELAY
+      this.setStatus('open')
+    })
+    // EventSource retries network errors itself but gives up on HTTP errors;
+    // handling both here keeps the backoff in one place
+    source.addEventListener('error', () => {
+      if (this.source !== source) return
+      source.close()
+      this.source = null
+      this.scheduleReconnect()
+    })
+    for (const type of EVENT_TYPES) {
+      source.addEventListener(type, (e) => this.dispatch(type, e.data))
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.active) return
+    this.setStatus('reconnecting')
+    // Jitter so clients do not all return at once after a server restart
+    const wait = this.delay * (0.5 + Math.random() / 2)
+    this.delay = Math.min(this.delay * 2, MAX_RECONNECT_DELAY)
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.connect(), wait)
+  }
+
+  reconnectNow = () => {
+    if (!this.active || this.status === 'open') return
+    clearTimeout(this.timer)
+    this.source?.close()
+    this.delay = MIN_RECONNECT_DELAY
+    this.connect()
+  }
+
+  dispatch(type, raw) {
+    let data
+    try {
+      data = JSON.parse(raw || '{}')
+    } catch {
+      console.warn(`Ignoring malformed ${type} event:`, raw)
+      return
+    }
+    for (const listener of this.eventListeners) listener({ type, data })
+  }
+}
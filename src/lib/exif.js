@@ -0,0 +1,147 @@
+// Minimal EXIF reader for JPEG photos. Extracts only what the upload flow
+// needs: GPS position, capture time and orientation.
+
+const TAGS = {
+  orientation: 0x0112,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+  gpsAltitudeRef: 0x0005,
+  gpsAltitude: 0x0006,
+  gpsImgDirection: 0x0011,
+}
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }
+
+// The EXIF block lives in the first 64 KB segment; a little extra covers
+// files with large JFIF or XMP segments before it.
+const HEADER_BYTES = 256 * 1024
+
+function readValue(view, type, offset, little) {
+  switch (type) {
+    case 1:
+    case 7:
+      return view.getUint8(offset)
+    case 3:
+      return view.getUint16(offset, little)
+    case 4:
+      return view.getUint32(offset, little)
+    case 9:
+      return view.getInt32(offset, little)
+    case 5:
+      return view.getUint32(offset, little) / view.getUint32(offset + 4, little)
+    case 10:
+      return view.getInt32(offset, little) / view.getInt32(offset + 4, little)
+    default:
+      return null
+  }
+}
+
+// Reads one IFD into a map of tag -> value (arrays for multi-valued tags)
+function readIfd(view, tiffStart, ifdOffset, little) {
+  const entries = new Map()
+  const start = tiffStart + ifdOffset
+  if (start + 2 > view.byteLength) return entries
+  const count = view.getUint16(start, little)
+
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+    const tag = view.getUint16(entry, little)
+    const type = view.getUint16(entry + 2, little)
+    const components = view.getUint32(entry + 4, little)
+    const size = (TYPE_SIZES[type] || 0) * components
+    if (!size) continue
+    const valueOffset = size > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8
+    if (valueOffset + size > view.byteLength) continue
+
+    if (type === 2) {
+      let text = ''
+      for (let c = 0; c < components - 1; c++) text += String.fromCharCode(view.getUint8(valueOffset + c))
+      entries.set(tag, text.trim())
+    } else if (components === 1) {
+      entries.set(tag, readValue(view, type, valueOffset, little))
+    } else {
+      const values = []
+      for (let c = 0; c < components; c++) {
+        values.push(readValue(view, type, valueOffset + c * TYPE_SIZES[type], little))
+      }
+      entries.set(tag, values)
+    }
+  }
+  return entries
+}
+
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some((v) => !Number.isFinite(v))) return null
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600
+  return ref === 'S' || ref === 'W' ? -degrees : degrees
+}
+
+// "2024:06:01 14:03:22" (+ optional "+02:00") -> Date
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '')
+  if (!match) return null
+  const [, y, mo, d, h, mi, s] = match
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${/^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : ''}`)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+function findExifSegment(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    if ((marker & 0xff00) !== 0xff00) return null
+    const length = view.getUint16(offset + 2)
+    // APP1 starting with "Exif\0\0"
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return offset + 10
+    }
+    // Start of scan: no more metadata segments
+    if (marker === 0xffda) return null
+    offset += 2 + length
+  }
+  return null
+}
+
+// Returns { latitude, longitude, altitude, direction, capturedAt, orientation }
+// with null for anything the photo does not carry. Never throws for
+// non-JPEG or malformed files.
+export async function readExif(file) {
+  const empty = { latitude: null, longitude: null, altitude: null, direction: null, capturedAt: null, orientation: 1 }
+  try {
+    const view = new DataView(await file.slice(0, HEADER_BYTES).arrayBuffer())
+    const tiffStart = findExifSegment(view)
+    if (tiffStart == null) return empty
+
+    const byteOrder = view.getUint16(tiffStart)
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return empty
+    const little = byteOrder === 0x4949
+    const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little)
+    const exif = ifd0.has(TAGS.exifIfd) ? readIfd(view, tiffStart, ifd0.get(TAGS.exifIfd), little) : new Map()
+    const gps = ifd0.has(TAGS.gpsIfd) ? readIfd(view, tiffStart, ifd0.get(TAGS.gpsIfd), little) : new Map()
+
+    const latitude = toDecimalDegrees(gps.get(TAGS.gpsLatitude), gps.get(TAGS.gpsLatitudeRef))
+    const longitude = toDecimalDegrees(gps.get(TAGS.gpsLongitude), gps.get(TAGS.gpsLongitudeRef))
+    const altitude = gps.get(TAGS.gpsAltitude)
+    const hasPosition = latitude != null && longitude != null && !(latitude === 0 && longitude === 0)
+
+    return {
+      latitude: hasPosition ? latitude : null,
+      longitude: hasPosition ? longitude : null,
+      altitude: Number.isFinite(altitude) ? (gps.get(TAGS.gpsAltitudeRef) === 1 ? -altitude : altitude) : null,
+      direction: Number.isFinite(gps.get(TAGS.gpsImgDirection)) ? gps.get(TAGS.gpsImgDirection) : null,
+      capturedAt: parseExifDate(exif.get(TAGS.dateTimeOriginal), exif.get(TAGS.offsetTimeOriginal)),
+      orientation: ifd0.get(TAGS.orientation) || 1,
+    }
+  } catch (err) {
+    console.warn('Could not read EXIF data:', err)
+    return empty
+  }
+}
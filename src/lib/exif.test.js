@@ -0,0 +1,160 @@
+import { describe, expect, it, vi } from 'vitest'
+import { readExif } from '@/lib/exif'
+
+const BYTE = 1
+const ASCII = 2
+const SHORT = 3
+const LONG = 4
+const RATIONAL = 5
+const TYPE_SIZES = { [BYTE]: 1, [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [RATIONAL]: 8 }
+
+// [tag, type, value]: a string for ASCII, a number or list of numbers for
+// BYTE, SHORT and LONG, and [numerator, denominator] pairs for RATIONAL
+function entryCount(type, value) {
+  if (type === ASCII) return value.length + 1
+  return type === RATIONAL ? value.length : [value].flat().length
+}
+
+function writeValue(view, offset, type, value, little) {
+  if (type === ASCII) {
+    for (let index = 0; index < value.length; index++) view.setUint8(offset + index, value.charCodeAt(index))
+  } else if (type === RATIONAL) {
+    value.forEach(([numerator, denominator], index) => {
+      view.setUint32(offset + index * 8, numerator, little)
+      view.setUint32(offset + index * 8 + 4, denominator, little)
+    })
+  } else {
+    const size = TYPE_SIZES[type]
+    const numbers = [value].flat()
+    numbers.forEach((number, index) => {
+      if (size === 1) view.setUint8(offset + index, number)
+      else if (size === 2) view.setUint16(offset + index * 2, number, little)
+      else view.setUint32(offset + index * 4, number, little)
+    })
+  }
+}
+
+// TIFF block with IFD0 and optional EXIF and GPS IFDs linked from it
+function buildTiff({ little, ifd0 = [], exif = null, gps = null }) {
+  const subIfds = [[0x8769, exif], [0x8825, gps]].filter(([, entries]) => entries)
+  const ifdSize = (count) => 2 + count * 12 + 4
+  let end = 8 + ifdSize(ifd0.length + subIfds.length)
+  const subOffsets = subIfds.map(([, entries]) => {
+    const offset = end
+    end += ifdSize(entries.length)
+    return offset
+  })
+  const ifds = [
+    [8, [...ifd0, ...subIfds.map(([tag], index) => [tag, LONG, subOffsets[index]])]],
+    ...subIfds.map(([, entries], index) => [subOffsets[index], entries]),
+  ]
+  const dataSize = ifds
+    .flatMap(([, entries]) => entries)
+    .map(([, type, value]) => entryCount(type, value) * TYPE_SIZES[type])
+    .filter((size) => size > 4)
+    .reduce((sum, size) => sum + size, 0)
+
+  const view = new DataView(new ArrayBuffer(end + dataSize))
+  view.setUint16(0, little ? 0x4949 : 0x4d4d)
+  view.setUint16(2, 42, little)
+  view.setUint32(4, 8, little)
+  let data = end
+  for (const [start, entries] of ifds) {
+    view.setUint16(start, entries.length, little)
+    entries.forEach(([tag, type, value], index) => {
+      const entry = start + 2 + index * 12
+      const count = entryCount(type, value)
+      view.setUint16(entry, tag, little)
+      view.setUint16(entry + 2, type, little)
+      view.setUint32(entry + 4, count, little)
+      if (count * TYPE_SIZES[type] <= 4) {
+        writeValue(view, entry + 8, type, value, little)
+      } else {
+        view.setUint32(entry + 8, data, little)
+        writeValue(view, data, type, value, little)
+        data += count * TYPE_SIZES[type]
+      }
+    })
+  }
+  return new Uint8Array(view.buffer)
+}
+
+// JPEG with an APP1 EXIF segment holding `tiff`, then the start of scan
+function jpegFile(tiff) {
+  const length = 2 + 6 + tiff.length
+  const bytes = [
+    0xff, 0xd8,
+    0xff, 0xe1, length >> 8, length & 0xff,
+    ...[...'Exif'].map((char) => char.charCodeAt(0)), 0, 0,
+    ...tiff,
+    0xff, 0xda, 0x00, 0x02,
+  ]
+  return new File([new Uint8Array(bytes)], 'photo.jpg', { type: 'image/jpeg' })
+}
+
+// 51° 30' 26.4" and 0° 7' 39.6"
+const LATITUDE = [[51, 1], [30, 1], [264, 10]]
+const LONGITUDE = [[0, 1], [7, 1], [396, 10]]
+
+function gpsEntries(latitudeRef, longitudeRef) {
+  return [
+    [0x0001, ASCII, latitudeRef],
+    [0x0002, RATIONAL, LATITUDE],
+    [0x0003, ASCII, longitudeRef],
+    [0x0004, RATIONAL, LONGITUDE],
+    [0x0005, BYTE, 0],
+    [0x0006, RATIONAL, [[355, 10]]],
+  ]
+}
+
+const exifEntries = [
+  [0x9003, ASCII, '2024:06:01 14:03:22'],
+  [0x9011, ASCII, '+02:00'],
+]
+
+describe('readExif', () => {
+  it.each([
+    ['little-endian', true],
+    ['big-endian', false],
+  ])('reads a %s photo', async (_, little) => {
+    const tiff = buildTiff({ little, ifd0: [[0x0112, SHORT, 6]], exif: exifEntries, gps: gpsEntries('N', 'E') })
+    const result = await readExif(jpegFile(tiff))
+    expect(result.latitude).toBeCloseTo(51.5073333, 6)
+    expect(result.longitude).toBeCloseTo(0.1276667, 6)
+    expect(result.altitude).toBeCloseTo(35.5, 6)
+    expect(result.orientation).toBe(6)
+    expect(result.capturedAt.toISOString()).toBe('2024-06-01T12:03:22.000Z')
+  })
+
+  it('makes southern and western positions negative', async () => {
+    const tiff = buildTiff({ little: true, gps: gpsEntries('S', 'W') })
+    const { latitude, longitude } = await readExif(jpegFile(tiff))
+    expect(latitude).toBeCloseTo(-51.5073333, 6)
+    expect(longitude).toBeCloseTo(-0.1276667, 6)
+  })
+
+  it('reads the rest of a photo without a GPS IFD', async () => {
+    const tiff = buildTiff({ little: false, ifd0: [[0x0112, SHORT, 3]], exif: exifEntries })
+    const result = await readExif(jpegFile(tiff))
+    expect(result).toMatchObject({ latitude: null, longitude: null, altitude: null, direction: null, orientation: 3 })
+    expect(result.capturedAt).toBeInstanceOf(Date)
+  })
+
+  it('treats a 0, 0 position as missing', async () => {
+    const zero = [[0, 1], [0, 1], [0, 1]]
+    const tiff = buildTiff({
+      little: true,
+      gps: [[0x0001, ASCII, 'N'], [0x0002, RATIONAL, zero], [0x0003, ASCII, 'E'], [0x0004, RATIONAL, zero]],
+    })
+    const result = await readExif(jpegFile(tiff))
+    expect(result.latitude).toBeNull()
+    expect(result.longitude).toBeNull()
+  })
+
+  it('returns nothing for files that are not JPEGs', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const result = await readExif(new File(['not an image'], 'notes.txt'))
+    expect(result).toEqual({ latitude: null, longitude: null, altitude: null, direction: null, capturedAt: null, orientation: 1 })
+    vi.restoreAllMocks()
+  })
+})
@@ -0,0 +1,172 @@
+import { parseGeometry } from '@/lib/geometry'
+import { STRESS_META } from '@/lib/stress'
+
+// Writers for exporting fields and analysed image points to GeoJSON, KML and
+// CSV, for use in QGIS and partner farm-management tools.
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+}
+
+function fieldProperties(field) {
+  return {
+    feature_type: 'field',
+    id: field.id,
+    name: field.name,
+    crop_type: field.crop_type || '',
+    created_at: field.created_at,
+  }
+}
+
+function pointProperties(image, fieldsById) {
+  return {
+    feature_type: 'sample_point',
+    id: image.id,
+    field_id: image.field_id,
+    field_name: fieldsById.get(image.field_id)?.name || '',
+    uploaded_at: image.uploaded_at,
+    latitude: Number(image.latitude),
+    longitude: Number(image.longitude),
+    stress_level: image.analysis?.stress_level || '',
+    confidence: image.analysis?.confidence ?? '',
+  }
+}
+
+export function toGeoJSON(fields, images) {
+  const fieldsById = new Map(fields.map((f) => [f.id, f]))
+  const features = [
+    ...fields
+      .map((field) => ({ field, geometry: parseGeometry(field.polygon_geometry) }))
+      .filter(({ geometry }) => geometry)
+      .map(({ field, geometry }) => ({ type: 'Feature', geometry, properties: fieldProperties(field) })),
+    ...images.map((image) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [Number(image.longitude), Number(image.latitude)] },
+      properties: pointProperties(image, fieldsById),
+    })),
+  ]
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2)
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function extendedData(properties) {
+  const data = Object.entries(properties)
+    .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+    .join('')
+  return `<ExtendedData>${data}</ExtendedData>`
+}
+
+// KML colours are aabbggrr
+function kmlColor(hex, alpha = 'ff') {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)]
+  return `${alpha}${b}${g}${r}`
+}
+
+export function toKML(fields, images) {
+  const fieldsById = new Map(fields.map((f) => [f.id, f]))
+  const styles = [
+    `<Style id="field"><LineStyle><color>${kmlColor('#15803d')}</color><width>2</width></LineStyle><PolyStyle><color>${kmlColor('#16a34a', '40')}</color></PolyStyle></Style>`,
+    ...Object.entries(STRESS_META).map(([level, meta]) =>
+      `<Style id="${level}"><IconStyle><color>${kmlColor(meta.color)}</color><scale>0.6</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>`
+    ),
+  ]
+
+  const fieldPlacemarks = fields.map((field) => {
+    const geometry = parseGeometry(field.polygon_geometry)
+    if (!geometry) return ''
+    const ring = geometry.coordinates[0].map(([lon, lat]) => `${lon},${lat},0`).join(' ')
+    return `<Placemark><name>${escapeXml(field.name)}</name><styleUrl>#field</styleUrl>${extendedData(fieldProperties(field))}` +
+      `<Polygon><outerBoundaryIs><LinearRing><coordinates>${ring}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`
+  })
+
+  const pointPlacemarks = images.map((image) => {
+    const properties = pointProperties(image, fieldsById)
+    const style = STRESS_META[properties.stress_level] ? `<styleUrl>#${properties.stress_level}</styleUrl>` : ''
+    return `<Placemark><name>${escapeXml(properties.stress_level || 'pending')}</name><TimeStamp><when>${escapeXml(image.uploaded_at)}</when></TimeStamp>${style}` +
+      `${extendedData(properties)}<Point><coordinates>${properties.longitude},${properties.latitude},0</coordinates></Point></Placemark>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    '<name>CropHealth AI+ Export</name>',
+    ...styles,
+    '<Folder><name>Fields</name>',
+    ...fieldPlacemarks,
+    '</Folder>',
+    '<Folder><name>Sample Points</name>',
+    ...pointPlacemarks,
+    '</Folder>',
+    '</Document>',
+    '</kml>',
+  ].join('\n')
+}
+
+function csvCell(value) {
+  const text = String(value ?? '')
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toWKT(geometry) {
+  const ring = geometry.coordinates[0].map(([lon, lat]) => `${lon} ${lat}`).join(', ')
+  return `POLYGON ((${ring}))`
+}
+
+const CSV_COLUMNS = [
+  'feature_type', 'id', 'name', 'crop_type', 'field_id', 'field_name', 'created_at', 'uploaded_at',
+  'latitude', 'longitude', 'stress_level', 'confidence', 'wkt',
+]
+
+// One row per field and per sample point. Field boundaries are in the WKT
+// column, which QGIS reads as a geometry.
+export function toCSV(fields, images) {
+  const fieldsById = new Map(fields.map((f) => [f.id, f]))
+  const rows = [
+    ...fields.map((field) => {
+      const geometry = parseGeometry(field.polygon_geometry)
+      return { ...fieldProperties(field), wkt: geometry ? toWKT(geometry) : '' }
+    }),
+    ...images.map((image) => {
+      const properties = pointProperties(image, fieldsById)
+      return { ...properties, wkt: `POINT (${properties.longitude} ${properties.latitude})` }
+    }),
+  ]
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((column) => csvCell(row[column])).join(',')),
+  ].join('\r\n')
+}
+
+export function serialize(format, fields, images) {
+  switch (format) {
+    case 'geojson':
+      return toGeoJSON(fields, images)
+    case 'kml':
+      return toKML(fields, images)
+    case 'csv':
+      return toCSV(fields, images)
+    default:
+      throw new Error(`Unknown export format "${format}"`)
+  }
+}
+
+export function downloadFile(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,14 @@
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+// Degrees clockwise from north -> "NE 45°"
+export function formatHeading(degrees) {
+  const point = COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length]
+  return `${point} ${Math.round(degrees)}°`
+}
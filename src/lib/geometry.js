@@ -0,0 +1,253 @@
+// Helpers for field geometry. Fields store their boundary as a GeoJSON
+// Polygon string in `polygon_geometry` ([lon, lat] order), while Leaflet
+// works in [lat, lng].
+
+export function parseGeometry(polygonGeometry) {
+  if (!polygonGeometry) return null
+  try {
+    const geometry = typeof polygonGeometry === 'string' ? JSON.parse(polygonGeometry) : polygonGeometry
+    return geometry?.type === 'Polygon' && Array.isArray(geometry.coordinates) ? geometry : null
+  } catch {
+    return null
+  }
+}
+
+// Outer ring of a field as Leaflet [lat, lng] pairs, without the closing vertex
+export function fieldLatLngs(field) {
+  const geometry = parseGeometry(field?.polygon_geometry)
+  if (!geometry || !geometry.coordinates[0]) return []
+  const ring = geometry.coordinates[0].map(([lon, lat]) => [lat, lon])
+  const first = ring[0]
+  const last = ring[ring.length - 1]
+  if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    ring.pop()
+  }
+  return ring
+}
+
+// [[south, west], [north, east]] around a list of [lat, lng] points, grown by
+// `padding` times the span on every side. Null for an empty list.
+export function boundsOf(latlngs, padding = 0) {
+  if (latlngs.length === 0) return null
+  const lats = latlngs.map(([lat]) => lat)
+  const lngs = latlngs.map(([, lng]) => lng)
+  const south = Math.min(...lats)
+  const north = Math.max(...lats)
+  const west = Math.min(...lngs)
+  const east = Math.max(...lngs)
+  const padLat = (north - south) * padding
+  const padLng = (east - west) * padding
+  return [[south - padLat, west - padLng], [north + padLat, east + padLng]]
+}
+
+const EARTH_RADIUS = 6378137 // WGS84 semi-major axis, metres
+const DEG_TO_RAD = Math.PI / 180
+
+export const SQ_METRES_PER_HECTARE = 10000
+export const SQ_METRES_PER_ACRE = 4046.8564224
+
+// Plausible size limits for a single field
+export const MIN_FIELD_AREA = 100 // m², a small garden plot
+export const MAX_FIELD_AREA = 10000 * SQ_METRES_PER_HECTARE // 10,000 ha
+
+// Vertices closer than this are treated as the same point
+const DUPLICATE_TOLERANCE = 0.1 // metres
+
+// Great-circle distance in metres between two [lat, lng] points
+export function haversineDistance(a, b) {
+  const dLat = (b[0] - a[0]) * DEG_TO_RAD
+  const dLng = (b[1] - a[1]) * DEG_TO_RAD
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a[0] * DEG_TO_RAD) * Math.cos(b[0] * DEG_TO_RAD) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+// Area in m² of a ring of [lat, lng] points on the sphere (same formula as
+// Leaflet.draw and turf). The ring may be open or closed.
+export function geodesicArea(latlngs) {
+  if (latlngs.length < 3) return 0
+  let area = 0
+  for (let i = 0; i < latlngs.length; i++) {
+    const p1 = latlngs[i]
+    const p2 = latlngs[(i + 1) % latlngs.length]
+    area += (p2[1] - p1[1]) * DEG_TO_RAD *
+      (2 + Math.sin(p1[0] * DEG_TO_RAD) + Math.sin(p2[0] * DEG_TO_RAD))
+  }
+  return Math.abs((area * EARTH_RADIUS * EARTH_RADIUS) / 2)
+}
+
+// Length in metres of the closed boundary through an open ring
+export function perimeter(latlngs) {
+  if (latlngs.length < 2) return 0
+  let length = 0
+  const edges = latlngs.length === 2 ? 1 : latlngs.length
+  for (let i = 0; i < edges; i++) {
+    length += haversineDistance(latlngs[i], latlngs[(i + 1) % latlngs.length])
+  }
+  return length
+}
+
+function orientation(a, b, c) {
+  const value = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1])
+  if (Math.abs(value) < 1e-18) return 0
+  return value > 0 ? 1 : 2
+}
+
+function onSegment(a, b, c) {
+  return Math.min(a[0], c[0]) <= b[0] && b[0] <= Math.max(a[0], c[0]) &&
+    Math.min(a[1], c[1]) <= b[1] && b[1] <= Math.max(a[1], c[1])
+}
+
+function segmentsIntersect(p1, q1, p2, q2) {
+  const o1 = orientation(p1, q1, p2)
+  const o2 = orientation(p1, q1, q2)
+  const o3 = orientation(p2, q2, p1)
+  const o4 = orientation(p2, q2, q1)
+  if (o1 !== o2 && o3 !== o4) return true
+  return (o1 === 0 && onSegment(p1, p2, q1)) ||
+    (o2 === 0 && onSegment(p1, q2, q1)) ||
+    (o3 === 0 && onSegment(p2, p1, q2)) ||
+    (o4 === 0 && onSegment(p2, q1, q2))
+}
+
+// True when any two non-adjacent edges of the open ring cross or touch
+export function isSelfIntersecting(latlngs) {
+  const n = latlngs.length
+  if (n < 4) return false
+  for (let i = 0; i < n; i++) {
+    const a1 = latlngs[i]
+    const a2 = latlngs[(i + 1) % n]
+    for (let j = i + 2; j < n; j++) {
+      // The first and last edges share a vertex
+      if (i === 0 && j === n - 1) continue
+      if (segmentsIntersect(a1, a2, latlngs[j], latlngs[(j + 1) % n])) return true
+    }
+  }
+  return false
+}
+
+// Indexes i where vertex i and the next one (wrapping round) coincide
+export function duplicateVertices(latlngs) {
+  const duplicates = []
+  if (latlngs.length < 2) return duplicates
+  for (let i = 0; i < latlngs.length; i++) {
+    const next = latlngs[(i + 1) % latlngs.length]
+    if (haversineDistance(latlngs[i], next) < DUPLICATE_TOLERANCE) duplicates.push(i)
+  }
+  return duplicates
+}
+
+// Problems that make an open ring of [lat, lng] points unusable as a field
+// boundary. Returns an empty array when the shape is valid.
+export function validatePolygon(latlngs) {
+  const errors = []
+  if (latlngs.length < 3) {
+    errors.push('Please draw a polygon with at least 3 points on the map.')
+    return errors
+  }
+  if (duplicateVertices(latlngs).length > 0) {
+    // Coincident vertices also make adjacent edges touch, so skip the crossing check
+    errors.push('The boundary has duplicate consecutive vertices. Delete the extra point.')
+  } else if (isSelfIntersecting(latlngs)) {
+    errors.push('The boundary crosses itself. Move the vertices so the edges do not intersect.')
+  }
+  const area = geodesicArea(latlngs)
+  if (area < MIN_FIELD_AREA) {
+    errors.push(`The field is too small (${formatArea(area)}). Fields must be at least ${formatArea(MIN_FIELD_AREA)}.`)
+  } else if (area > MAX_FIELD_AREA) {
+    errors.push(`The field is too large (${formatArea(area)}). Fields must be under ${formatArea(MAX_FIELD_AREA)}.`)
+  }
+  return errors
+}
+
+// Ray-casting test of a [lat, lng] point against a GeoJSON ring ([lon, lat]
+// positions, closed or open). Points exactly on an edge may go either way.
+function pointInRing([lat, lng], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// True when a [lat, lng] point is inside the field's polygon and not in a hole
+export function fieldContains(field, point) {
+  const geometry = parseGeometry(field?.polygon_geometry)
+  if (!geometry || !geometry.coordinates[0]) return false
+  const [outer, ...holes] = geometry.coordinates
+  return pointInRing(point, outer) && !holes.some((hole) => pointInRing(point, hole))
+}
+
+// Distance in metres from a point to the nearest edge of an open ring, using
+// a local equirectangular projection (accurate at field scale)
+export function distanceToBoundary(point, latlngs) {
+  if (latlngs.length === 0) return Infinity
+  const cosLat = Math.cos(point[0] * DEG_TO_RAD)
+  const project = ([lat, lng]) => [
+    (lng - point[1]) * DEG_TO_RAD * EARTH_RADIUS * cosLat,
+    (lat - point[0]) * DEG_TO_RAD * EARTH_RADIUS,
+  ]
+  const ring = latlngs.map(project)
+  let best = Infinity
+  for (let i = 0; i < ring.length; i++) {
+    const [ax, ay] = ring[i]
+    const [bx, by] = ring[(i + 1) % ring.length]
+    const dx = bx - ax
+    const dy = by - ay
+    const lengthSq = dx * dx + dy * dy
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq))
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy))
+  }
+  return best
+}
+
+// Which fields a [lat, lng] point falls in. `matches` lists every containing
+// field (more than one means the fields overlap); when there are none,
+// `nearest` is the closest field with its distance in metres.
+export function matchFields(point, fields) {
+  const matches = fields.filter((field) => fieldContains(field, point))
+  let nearest = null
+  if (matches.length === 0) {
+    for (const field of fields) {
+      const distance = distanceToBoundary(point, fieldLatLngs(field))
+      if (distance < (nearest?.distance ?? Infinity)) nearest = { field, distance }
+    }
+  }
+  return { matches, nearest }
+}
+
+// Shoelace sum in lng/lat space; positive when counter-clockwise
+function signedArea(latlngs) {
+  let sum = 0
+  for (let i = 0; i < latlngs.length; i++) {
+    const [lat1, lng1] = latlngs[i]
+    const [lat2, lng2] = latlngs[(i + 1) % latlngs.length]
+    sum += lng1 * lat2 - lng2 * lat1
+  }
+  return sum / 2
+}
+
+// GeoJSON Polygon for an open ring of [lat, lng] points. Per RFC 7946 the
+// exterior ring is counter-clockwise and its last position repeats the first.
+export function toGeoJSONPolygon(latlngs) {
+  const ring = signedArea(latlngs) < 0 ? [...latlngs].reverse() : [...latlngs]
+  const coordinates = ring.map(([lat, lng]) => [lng, lat])
+  coordinates.push([...coordinates[0]])
+  return { type: 'Polygon', coordinates: [coordinates] }
+}
+
+export function formatArea(squareMetres) {
+  if (squareMetres < 1000) return `${Math.round(squareMetres)} m²`
+  const hectares = squareMetres / SQ_METRES_PER_HECTARE
+  const acres = squareMetres / SQ_METRES_PER_ACRE
+  const digits = hectares < 10 ? 2 : 1
+  return `${hectares.toFixed(digits)} ha (${acres.toFixed(digits)} ac)`
+}
+
+export function formatLength(metres) {
+  return metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(2)} km`
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest'
+import {
+  geodesicArea,
+  isSelfIntersecting,
+  perimeter,
+  toGeoJSONPolygon,
+  validatePolygon,
+} from '@/lib/geometry'
+
+// 0.01° on a side at the equator, about 1.11 km, counter-clockwise in
+// lng/lat space
+const square = [[0, 0], [0, 0.01], [0.01, 0.01], [0.01, 0]]
+const SIDE = 0.01 * (Math.PI / 180) * 6378137
+const bowTie = [[0, 0], [0.01, 0.01], [0, 0.01], [0.01, 0]]
+
+// Twice the signed area of [lon, lat] positions; positive when
+// counter-clockwise
+function orientationSum(positions) {
+  let sum = 0
+  for (let i = 0; i < positions.length - 1; i++) {
+    sum += positions[i][0] * positions[i + 1][1] - positions[i + 1][0] * positions[i][1]
+  }
+  return sum
+}
+
+describe('geodesicArea and perimeter', () => {
+  it('measure a small square near the equator', () => {
+    expect(geodesicArea(square) / (SIDE * SIDE)).toBeCloseTo(1, 2)
+    expect(perimeter(square) / (4 * SIDE)).toBeCloseTo(1, 3)
+  })
+
+  it('do not depend on the winding or a closing vertex', () => {
+    const clockwise = [...square].reverse()
+    expect(geodesicArea(clockwise)).toBeCloseTo(geodesicArea(square), 6)
+    expect(geodesicArea([...square, square[0]])).toBeCloseTo(geodesicArea(square), 6)
+  })
+
+  it('are zero for fewer than three points', () => {
+    expect(geodesicArea(square.slice(0, 2))).toBe(0)
+    expect(perimeter(square.slice(0, 1))).toBe(0)
+  })
+})
+
+describe('isSelfIntersecting', () => {
+  it('detects a bow-tie', () => {
+    expect(isSelfIntersecting(bowTie)).toBe(true)
+  })
+
+  it('accepts a simple polygon', () => {
+    expect(isSelfIntersecting(square)).toBe(false)
+  })
+})
+
+describe('validatePolygon', () => {
+  it('accepts a simple field', () => {
+    expect(validatePolygon(square)).toEqual([])
+  })
+
+  it('rejects a bow-tie', () => {
+    expect(validatePolygon(bowTie)).toContainEqual(expect.stringContaining('crosses itself'))
+  })
+
+  it('rejects a ring with too few points', () => {
+    expect(validatePolygon([[0, 0], [0, 0.01]])).toEqual([expect.stringContaining('at least 3 points')])
+  })
+
+  it('rejects a degenerate ring with a repeated vertex', () => {
+    const errors = validatePolygon([[0, 0], [0, 0.01], [0, 0.01], [0.01, 0.01]])
+    expect(errors).toContainEqual(expect.stringContaining('duplicate consecutive vertices'))
+  })
+
+  it('rejects a flat ring as too small', () => {
+    expect(validatePolygon([[0, 0], [0, 0.01], [0, 0.02]])).toContainEqual(expect.stringContaining('too small'))
+  })
+})
+
+describe('toGeoJSONPolygon', () => {
+  it('writes a counter-clockwise closed ring in [lon, lat] order', () => {
+    const { type, coordinates } = toGeoJSONPolygon(square)
+    const [ring] = coordinates
+    expect(type).toBe('Polygon')
+    expect(ring).toHaveLength(5)
+    expect(ring[0]).toEqual(ring[4])
+    expect(ring[1]).toEqual([0.01, 0])
+    expect(orientationSum(ring)).toBeGreaterThan(0)
+  })
+
+  it('reverses clockwise input', () => {
+    const [ring] = toGeoJSONPolygon([...square].reverse()).coordinates
+    const [expected] = toGeoJSONPolygon(square).coordinates
+    expect(orientationSum(ring)).toBeGreaterThan(0)
+    expect(new Set(ring.map(String))).toEqual(new Set(expected.map(String)))
+  })
+})
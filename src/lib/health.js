@@ -0,0 +1,84 @@
+import { severityColor } from '@/lib/heatmap'
+
+// Field health from the stats endpoints: a score for the map and a status
+// for lists. Statuses compare the share of stressed (moderate or severe)
+// images in recent results with thresholds that can be set per crop type and
+// are saved in localStorage for this device.
+
+// Colour of fields without analysed images
+export const NO_DATA_COLOR = '#9ca3af'
+
+// How far back results count as recent
+export const RECENT_DAYS = 30
+
+// Most urgent first
+export const HEALTH_STATUSES = ['stressed', 'watch', 'healthy', 'no-data']
+
+export const HEALTH_STATUS_META = {
+  stressed: { label: 'Stressed', badgeClass: 'border-red-200 bg-red-50 text-red-700' },
+  watch: { label: 'Watch', badgeClass: 'border-yellow-200 bg-yellow-50 text-yellow-700' },
+  healthy: { label: 'Healthy', badgeClass: 'border-green-200 bg-green-50 text-green-700' },
+  'no-data': { label: 'No recent data', badgeClass: 'border-gray-200 bg-gray-50 text-gray-600' },
+}
+
+// Stressed share, in percent, from which a field is on watch or stressed
+export const DEFAULT_THRESHOLDS = { watch: 20, stressed: 40 }
+
+const THRESHOLDS_KEY = 'healthThresholds'
+
+// Share of healthy images in a stats summary, or null when nothing was
+// analysed in the period
+export function healthScore(summary) {
+  if (!summary?.total_images) return null
+  return summary.stress_distribution?.healthy ?? null
+}
+
+// Map colour for a health score, from severe red at 0 to healthy green at 100
+export function healthColor(score) {
+  if (score === null) return NO_DATA_COLOR
+  const [r, g, b] = severityColor(1 - Math.min(Math.max(score, 0), 100) / 100)
+  return `rgb(${r}, ${g}, ${b})`
+}
+
+// Crop types are matched regardless of case and surrounding spaces
+export function cropKey(cropType) {
+  return (cropType || '').trim().toLowerCase()
+}
+
+// `{ default, crops }` where `crops` maps crop keys to their own thresholds
+export function getHealthThresholds() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THRESHOLDS_KEY))
+    return { default: { ...DEFAULT_THRESHOLDS, ...saved?.default }, crops: { ...saved?.crops } }
+  } catch {
+    return { default: { ...DEFAULT_THRESHOLDS }, crops: {} }
+  }
+}
+
+export function setHealthThresholds(thresholds) {
+  localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(thresholds))
+}
+
+// Error message for an invalid pair of thresholds, or null
+export function validateThresholds({ watch, stressed }) {
+  if (![watch, stressed].every((value) => Number.isFinite(value) && value > 0 && value <= 100)) {
+    return 'Thresholds must be between 1 and 100%'
+  }
+  if (watch >= stressed) return 'The watch threshold must be below the stressed threshold'
+  return null
+}
+
+export function thresholdsFor(cropType, thresholds) {
+  return thresholds.crops[cropKey(cropType)] || thresholds.default
+}
+
+// Status of a field from its recent stats summary
+export function healthStatus(summary, cropType, thresholds) {
+  const score = healthScore(summary)
+  if (score === null) return 'no-data'
+  const stressedShare = 100 - score
+  const limits = thresholdsFor(cropType, thresholds)
+  if (stressedShare >= limits.stressed) return 'stressed'
+  if (stressedShare >= limits.watch) return 'watch'
+  return 'healthy'
+}
@@ -0,0 +1,107 @@
+import { boundsOf, fieldLatLngs } from '@/lib/geometry'
+import { STRESS_LEVELS, STRESS_META } from '@/lib/stress'
+
+// Stress heatmaps of a field, interpolated from its analysed images with
+// inverse distance weighting and clipped to its boundary.
+
+// Severity of each class on the 0 (healthy) to 1 (severe) scale that is
+// interpolated
+const STRESS_VALUES = Object.fromEntries(STRESS_LEVELS.map((level, index) => [level, index / (STRESS_LEVELS.length - 1)]))
+
+// Fewer samples than this say nothing about how stress varies over a field
+export const MIN_HEATMAP_POINTS = 3
+
+// Longest side of the rendered image, and the size of the cells it is
+// interpolated in, in pixels
+const HEATMAP_SIZE = 256
+const CELL_SIZE = 4
+
+const IDW_POWER = 2
+
+// Analysed images that have a location, as map points
+export function stressPoints(images) {
+  return images
+    .filter((image) => image.analysis?.status === 'completed' && image.analysis.stress_level in STRESS_VALUES)
+    .map((image) => ({ image, lat: Number(image.latitude), lng: Number(image.longitude) }))
+    .filter((point) => Number.isFinite(point.lat) && Number.isFinite(point.lng))
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+const STRESS_COLORS = STRESS_LEVELS.map((level) => hexToRgb(STRESS_META[level].color))
+
+// [r, g, b] for a severity between 0 (healthy) and 1 (severe), blended
+// between the class colours
+export function severityColor(value) {
+  const position = value * (STRESS_COLORS.length - 1)
+  const index = Math.min(Math.floor(position), STRESS_COLORS.length - 2)
+  const t = position - index
+  const [a, b] = [STRESS_COLORS[index], STRESS_COLORS[index + 1]]
+  return a.map((channel, i) => Math.round(channel + (b[i] - channel) * t))
+}
+
+// CSS gradient matching the heatmap colours, for its legend
+export const HEATMAP_GRADIENT = `linear-gradient(to right, ${STRESS_LEVELS.map((level) => STRESS_META[level].color).join(', ')})`
+
+function interpolate(samples, x, y) {
+  let weighted = 0
+  let weights = 0
+  for (const sample of samples) {
+    const distanceSq = (sample.x - x) ** 2 + (sample.y - y) ** 2
+    if (distanceSq < 1) return sample.value
+    const weight = 1 / distanceSq ** (IDW_POWER / 2)
+    weighted += weight * sample.value
+    weights += weight
+  }
+  return weighted / weights
+}
+
+// Heatmap image of `field` from `points` (see stressPoints) as
+// `{ url, bounds }` for an image overlay, or null when the field has no
+// boundary or too few samples fall inside its bounds.
+export function renderHeatmap(field, points) {
+  const ring = fieldLatLngs(field)
+  const bounds = boundsOf(ring)
+  if (!bounds) return null
+  const [[south, west], [north, east]] = bounds
+  const inside = points.filter((p) => p.lat >= south && p.lat <= north && p.lng >= west && p.lng <= east)
+  if (inside.length < MIN_HEATMAP_POINTS) return null
+
+  // Degrees of longitude shrink away from the equator
+  const aspect = ((east - west) * Math.cos(((south + north) / 2) * (Math.PI / 180))) / (north - south)
+  const width = Math.max(1, Math.round(aspect >= 1 ? HEATMAP_SIZE : HEATMAP_SIZE * aspect))
+  const height = Math.max(1, Math.round(aspect >= 1 ? HEATMAP_SIZE / aspect : HEATMAP_SIZE))
+  const toPixel = ([lat, lng]) => [((lng - west) / (east - west)) * width, ((north - lat) / (north - south)) * height]
+  const samples = inside.map((p) => {
+    const [x, y] = toPixel([p.lat, p.lng])
+    return { x, y, value: STRESS_VALUES[p.image.analysis.stress_level] }
+  })
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  for (let y = 0; y < height; y += CELL_SIZE) {
+    for (let x = 0; x < width; x += CELL_SIZE) {
+      const [r, g, b] = severityColor(interpolate(samples, x + CELL_SIZE / 2, y + CELL_SIZE / 2))
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`
+      ctx.fillRect(x, y, CELL_SIZE, CELL_SIZE)
+    }
+  }
+
+  // Keep only what lies inside the boundary
+  ctx.globalCompositeOperation = 'destination-in'
+  ctx.beginPath()
+  ring.forEach((latlng, index) => {
+    const [x, y] = toPixel(latlng)
+    if (index === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+  ctx.closePath()
+  ctx.fill()
+
+  return { url: canvas.toDataURL(), bounds }
+}
@@ -0,0 +1,45 @@
+// Minimal promise wrapper around IndexedDB, shared by everything that
+// persists data in the browser.
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// `upgrade(db, oldVersion)` runs inside the versionchange transaction and
+// should create any missing object stores.
+export function openDB(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version)
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error(`IndexedDB "${name}" is blocked by another tab`))
+  })
+}
+
+function store(db, storeName, mode) {
+  return db.transaction(storeName, mode).objectStore(storeName)
+}
+
+export function idbGet(db, storeName, key) {
+  return promisify(store(db, storeName, 'readonly').get(key))
+}
+
+export function idbGetAll(db, storeName) {
+  return promisify(store(db, storeName, 'readonly').getAll())
+}
+
+export function idbPut(db, storeName, value, key) {
+  return promisify(store(db, storeName, 'readwrite').put(value, key))
+}
+
+export function idbDelete(db, storeName, key) {
+  return promisify(store(db, storeName, 'readwrite').delete(key))
+}
+
+export function idbClear(db, storeName) {
+  return promisify(store(db, storeName, 'readwrite').clear())
+}
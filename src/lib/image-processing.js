@@ -0,0 +1,119 @@
+// Shrinks photos before upload: decoded, turned upright, resized and
+// re-encoded in a Web Worker (image-worker.js). The re-encoded file has no
+// EXIF data, so location and capture time must be read from the original
+// first; they are sent as form fields.
+//
+// The options are saved in localStorage for this device.
+
+export const MAX_DIMENSIONS = [1024, 1600, 2048, 3072]
+
+export const OUTPUT_FORMATS = [
+  { value: 'image/jpeg', label: 'JPEG', extension: 'jpg' },
+  { value: 'image/webp', label: 'WebP', extension: 'webp' },
+]
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  enabled: true,
+  maxDimension: 2048,
+  type: 'image/jpeg',
+  quality: 0.85,
+}
+
+const OPTIONS_KEY = 'imageProcessing'
+
+export const IMAGE_PROCESSING_SUPPORTED = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined'
+
+export function getImageOptions() {
+  try {
+    return { ...DEFAULT_IMAGE_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) }
+  } catch {
+    return { ...DEFAULT_IMAGE_OPTIONS }
+  }
+}
+
+export function setImageOptions(changes) {
+  localStorage.setItem(OPTIONS_KEY, JSON.stringify({ ...getImageOptions(), ...changes }))
+}
+
+// A photo that takes longer than this is given up on and uploaded as is
+const PROCESS_TIMEOUT_MS = 30 * 1000
+
+let worker = null
+let nextRequestId = 1
+// Requests sent to the worker and not answered yet, by id, with their
+// message so they can be sent again to a new worker
+const pending = new Map()
+
+function settle(id) {
+  const request = pending.get(id)
+  pending.delete(id)
+  if (request) clearTimeout(request.timer)
+  return request
+}
+
+function send(id) {
+  const request = pending.get(id)
+  clearTimeout(request.timer)
+  request.timer = setTimeout(() => timeOut(id), PROCESS_TIMEOUT_MS)
+  getWorker().postMessage(request.message)
+}
+
+// Gives up on one photo. The worker may still be stuck on it, so it is
+// replaced and the other photos are sent to the new one.
+function timeOut(id) {
+  settle(id)?.reject(new Error('Processing the image timed out'))
+  worker?.terminate()
+  worker = null
+  for (const otherId of pending.keys()) send(otherId)
+}
+
+// Fails every request still waiting and stops the worker, so the next
+// request starts a fresh one
+function resetWorker(error) {
+  for (const id of [...pending.keys()]) settle(id).reject(error)
+  worker?.terminate()
+  worker = null
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./image-worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const request = settle(data.id)
+      if (data.error) request?.reject(new Error(data.error))
+      else request?.resolve(data)
+    }
+    worker.onerror = (event) => {
+      event.preventDefault()
+      resetWorker(new Error(event.message || 'Image worker failed'))
+    }
+    worker.onmessageerror = () => resetWorker(new Error('Could not read the processed image'))
+  }
+  return worker
+}
+
+function renameFile(name, type) {
+  const { extension } = OUTPUT_FORMATS.find((format) => format.value === type) || OUTPUT_FORMATS[0]
+  return `${name.replace(/\.[^.]*$/, '')}.${extension}`
+}
+
+// Resolves with { file, width, height, originalWidth, originalHeight }. The
+// original file is kept when re-encoding would not make it smaller and it is
+// already upright (`orientation` 1, from its EXIF data) and small enough.
+export async function processImage(file, { maxDimension, type, quality, orientation = 1 }) {
+  const id = nextRequestId++
+  const result = await new Promise((resolve, reject) => {
+    pending.set(id, { message: { id, file, maxDimension, type, quality }, resolve, reject, timer: null })
+    send(id)
+  })
+  const { id: _id, blob, ...dimensions } = result
+
+  const resized = dimensions.width !== dimensions.originalWidth
+  if (!resized && orientation === 1 && blob.size >= file.size) {
+    return { file, ...dimensions }
+  }
+  return {
+    file: new File([blob], renameFile(file.name, blob.type), { type: blob.type, lastModified: file.lastModified }),
+    ...dimensions,
+  }
+}
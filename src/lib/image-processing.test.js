@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+const options = { maxDimension: 1024, type: 'image/jpeg', quality: 0.85 }
+
+// Stands in for image-worker.js; tests answer its messages by hand
+class FakeWorker {
+  static instances = []
+
+  constructor() {
+    this.messages = []
+    this.terminated = false
+    FakeWorker.instances.push(this)
+  }
+
+  postMessage(message) {
+    this.messages.push(message)
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+
+  reply(message) {
+    const blob = new Blob(['small'], { type: 'image/jpeg' })
+    this.onmessage({ data: { id: message.id, blob, width: 512, height: 384, originalWidth: 1024, originalHeight: 768 } })
+  }
+}
+
+function photo(name) {
+  return new File(['x'.repeat(100)], name, { type: 'image/jpeg' })
+}
+
+describe('processImage', () => {
+  let processImage
+
+  // A fresh module each time, since it keeps its worker between calls
+  beforeEach(async () => {
+    vi.useFakeTimers()
+    FakeWorker.instances = []
+    vi.stubGlobal('Worker', FakeWorker)
+    vi.resetModules()
+    processImage = (await import('@/lib/image-processing')).processImage
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('times out only the stuck photo and resends the rest to a new worker', async () => {
+    const stuck = processImage(photo('stuck.jpg'), options)
+    const other = processImage(photo('other.jpg'), options)
+    const stuckResult = expect(stuck).rejects.toThrow('timed out')
+    const [first] = FakeWorker.instances
+
+    await vi.advanceTimersByTimeAsync(30 * 1000)
+    await stuckResult
+    expect(first.terminated).toBe(true)
+
+    const second = FakeWorker.instances[1]
+    expect(second.messages.map((message) => message.file.name)).toEqual(['other.jpg'])
+    second.reply(second.messages[0])
+    await expect(other).resolves.toMatchObject({ width: 512, height: 384 })
+  })
+
+  it('fails every waiting photo when the worker errors', async () => {
+    const first = processImage(photo('a.jpg'), options)
+    const second = processImage(photo('b.jpg'), options)
+    const worker = FakeWorker.instances.at(-1)
+    worker.onerror({ message: 'boom', preventDefault: () => {} })
+
+    await expect(first).rejects.toThrow('boom')
+    await expect(second).rejects.toThrow('boom')
+    expect(worker.terminated).toBe(true)
+  })
+})
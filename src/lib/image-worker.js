@@ -0,0 +1,31 @@
+// Web Worker that downscales and re-encodes photos off the main thread.
+// Receives { id, file, maxDimension, type, quality } and posts back
+// { id, blob, width, height, originalWidth, originalHeight } or { id, error }.
+
+self.onmessage = async ({ data }) => {
+  const { id, file, maxDimension, type, quality } = data
+  try {
+    // 'from-image' applies the EXIF orientation while decoding, so the pixels
+    // come out upright and the re-encoded file needs no orientation tag
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+    const originalWidth = bitmap.width
+    const originalHeight = bitmap.height
+    const scale = maxDimension ? Math.min(1, maxDimension / Math.max(originalWidth, originalHeight)) : 1
+    const width = Math.round(originalWidth * scale)
+    const height = Math.round(originalHeight * scale)
+
+    const canvas = new OffscreenCanvas(width, height)
+    const context = canvas.getContext('2d')
+    context.imageSmoothingQuality = 'high'
+    context.drawImage(bitmap, 0, 0, width, height)
+    bitmap.close()
+
+    let blob = await canvas.convertToBlob({ type, quality })
+    // Browsers without a WebP encoder return PNG instead
+    if (blob.type !== type) blob = await canvas.convertToBlob({ type: 'image/jpeg', quality })
+
+    self.postMessage({ id, blob, width, height, originalWidth, originalHeight })
+  } catch (err) {
+    self.postMessage({ id, error: err.message || 'Could not decode image' })
+  }
+}
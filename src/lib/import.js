@@ -0,0 +1,145 @@
+import { kml, gpx } from '@tmcw/togeojson'
+import { validatePolygon, geodesicArea, haversineDistance } from '@/lib/geometry'
+
+// Parsing of field boundary files (GeoJSON, KML, GPX, zipped Shapefile) into
+// candidate fields for bulk import. Everything runs in the browser.
+
+export const IMPORT_ACCEPT = '.geojson,.json,.kml,.gpx,.zip'
+
+function extension(filename) {
+  return filename.toLowerCase().split('.').pop()
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML')
+  }
+  return doc
+}
+
+async function readGeoJSON(file) {
+  switch (extension(file.name)) {
+    case 'geojson':
+    case 'json':
+      return JSON.parse(await file.text())
+    case 'kml':
+      return kml(parseXml(await file.text()))
+    case 'gpx':
+      return gpx(parseXml(await file.text()))
+    case 'zip': {
+      // proj4 and the zip reader are only needed for shapefiles
+      const { parseZip } = await import('shpjs')
+      const result = await parseZip(await file.arrayBuffer())
+      const layers = Array.isArray(result) ? result : [result]
+      return {
+        type: 'FeatureCollection',
+        features: layers.flatMap((layer) =>
+          layer.features.map((feature) => ({
+            ...feature,
+            properties: { ...feature.properties, layer: layer.fileName },
+          }))
+        ),
+      }
+    }
+    default:
+      throw new Error(`Unsupported file type ".${extension(file.name)}"`)
+  }
+}
+
+function toFeatures(geojson) {
+  if (geojson?.type === 'FeatureCollection') return geojson.features || []
+  if (geojson?.type === 'Feature') return [geojson]
+  if (geojson?.type) return [{ type: 'Feature', geometry: geojson, properties: {} }]
+  throw new Error('The file does not contain GeoJSON')
+}
+
+// GeoJSON [lon, lat] ring to an open Leaflet [lat, lng] ring
+function ringToLatLngs(ring) {
+  const latlngs = ring.map(([lon, lat]) => [lat, lon])
+  const first = latlngs[0]
+  const last = latlngs[latlngs.length - 1]
+  if (latlngs.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    latlngs.pop()
+  }
+  return latlngs
+}
+
+// How close, in metres, the ends of a GPX track or KML line must be for it to
+// count as walked around a field
+const CLOSED_LINE_TOLERANCE = 10
+
+// The line as a ring without its closing vertex, or null when it is open
+function closedLine(line) {
+  if (line.length < 4) return null
+  const [firstLon, firstLat] = line[0]
+  const [lastLon, lastLat] = line[line.length - 1]
+  if (haversineDistance([firstLat, firstLon], [lastLat, lastLon]) > CLOSED_LINE_TOLERANCE) return null
+  return line.slice(0, -1)
+}
+
+// Outer rings usable as field boundaries, with null for lines that are not
+// closed. Holes are dropped; a closed GPX track or KML line walked around a
+// field is treated as its boundary.
+function outerRings(geometry) {
+  if (!geometry) return []
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates[0]]
+    case 'MultiPolygon':
+      return geometry.coordinates.map((polygon) => polygon[0])
+    case 'LineString':
+      return [closedLine(geometry.coordinates)]
+    case 'MultiLineString':
+      return geometry.coordinates.map(closedLine)
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(outerRings)
+    default:
+      return []
+  }
+}
+
+// Returns { candidates, skipped, attributes } where each candidate is
+// { key, properties, latlngs, area, errors } and `attributes` lists every
+// property name found, for mapping to `name` and `crop_type`.
+export async function parseBoundaryFile(file) {
+  const features = toFeatures(await readGeoJSON(file))
+  const candidates = []
+  let skipped = 0
+
+  features.forEach((feature, featureIndex) => {
+    const parts = outerRings(feature.geometry)
+    const rings = parts.filter((ring) => ring?.length >= 3)
+    // Features without any boundary, and open lines or slivers among the parts
+    skipped += Math.max(parts.length, 1) - rings.length
+    if (rings.length === 0) return
+    rings.forEach((ring, partIndex) => {
+      const latlngs = ringToLatLngs(ring.map((position) => position.slice(0, 2)))
+      candidates.push({
+        key: `${featureIndex}-${partIndex}`,
+        part: rings.length > 1 ? partIndex + 1 : null,
+        properties: feature.properties || {},
+        latlngs,
+        area: geodesicArea(latlngs),
+        errors: validatePolygon(latlngs),
+      })
+    })
+  })
+
+  const attributes = [...new Set(candidates.flatMap((c) => Object.keys(c.properties)))]
+    .filter((key) => candidates.some((c) => ['string', 'number'].includes(typeof c.properties[key])))
+
+  return { candidates, skipped, attributes }
+}
+
+// Most likely attribute for a target field, e.g. "NAME" or "field_name" for name
+export function guessAttribute(attributes, target) {
+  const patterns = target === 'name'
+    ? [/^name$/i, /name/i, /^title$/i, /^label$/i, /^id$/i]
+    : [/^crop(_?type)?$/i, /crop/i, /^culture$/i, /^species$/i]
+  for (const pattern of patterns) {
+    const match = attributes.find((key) => pattern.test(key))
+    if (match) return match
+  }
+  return null
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { parseBoundaryFile } from '@/lib/import'
+
+// A field about 1.1 km across near the equator, as [lon, lat] positions
+const walk = [[0, 0], [0.01, 0], [0.01, 0.01], [0, 0.01]]
+
+function feature(geometry) {
+  return { type: 'Feature', properties: {}, geometry }
+}
+
+function geojsonFile(...features) {
+  return new File([JSON.stringify({ type: 'FeatureCollection', features })], 'fields.geojson')
+}
+
+describe('parseBoundaryFile', () => {
+  it('accepts a line whose ends meet within the tolerance', async () => {
+    // The last position is about 5.5 m from the first
+    const line = [...walk, [0.00005, 0]]
+    const { candidates, skipped } = await parseBoundaryFile(geojsonFile(feature({ type: 'LineString', coordinates: line })))
+    expect(skipped).toBe(0)
+    expect(candidates).toHaveLength(1)
+    // The closing vertex is dropped rather than kept next to the first
+    expect(candidates[0].latlngs).toEqual(walk.map(([lon, lat]) => [lat, lon]))
+    expect(candidates[0].errors).toEqual([])
+  })
+
+  it('accepts a line that ends exactly where it starts', async () => {
+    const { candidates } = await parseBoundaryFile(
+      geojsonFile(feature({ type: 'LineString', coordinates: [...walk, walk[0]] }))
+    )
+    expect(candidates[0].latlngs).toHaveLength(4)
+  })
+
+  it('skips a line whose ends are further apart than the tolerance', async () => {
+    // About 22 m short of the start
+    const line = [...walk, [0.0002, 0]]
+    const { candidates, skipped } = await parseBoundaryFile(geojsonFile(feature({ type: 'LineString', coordinates: line })))
+    expect(candidates).toEqual([])
+    expect(skipped).toBe(1)
+  })
+
+  it('counts open parts and features without a boundary as skipped', async () => {
+    const { candidates, skipped } = await parseBoundaryFile(geojsonFile(
+      feature({ type: 'MultiLineString', coordinates: [[...walk, walk[0]], walk, walk.slice(0, 2)] }),
+      feature({ type: 'Point', coordinates: [0, 0] }),
+      feature({ type: 'Polygon', coordinates: [[...walk, walk[0]]] })
+    ))
+    expect(candidates.map((candidate) => candidate.key)).toEqual(['0-0', '2-0'])
+    expect(skipped).toBe(3)
+  })
+})
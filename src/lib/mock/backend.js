@@ -0,0 +1,374 @@
+import { MAX_LOOKBACK_DAYS } from '@/lib/analytics'
+import { mockStore } from './store'
+import { STRESS_LEVELS, classScores, placeholderImage } from './seed'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+// Live events for MockEventSource, as CustomEvents whose detail is
+// { userId, type, data }
+export const mockEvents = new EventTarget()
+
+function emit(userId, type, data = {}) {
+  mockEvents.dispatchEvent(new CustomEvent('event', { detail: { userId, type, data } }))
+}
+
+export function userForToken(token) {
+  const match = /^mock\.(\d+)\./.exec(token || '')
+  return (match && mockStore.state.users.find((u) => u.id === Number(match[1]))) || null
+}
+
+function requireUser(token) {
+  const user = userForToken(token)
+  if (!user) {
+    throw new MockHttpError(401, 'Missing or invalid token')
+  }
+  return user
+}
+
+function requireField(user, fieldId) {
+  const field = mockStore.state.fields.find((f) => f.id === Number(fieldId) && f.user_id === user.id)
+  if (!field) {
+    throw new MockHttpError(404, 'Field not found')
+  }
+  return field
+}
+
+function publicUser(user) {
+  const { password: _password, ...rest } = user
+  return rest
+}
+
+function publicField(field) {
+  const { user_id: _userId, ...rest } = field
+  return {
+    ...rest,
+    image_count: mockStore.state.images.filter((img) => img.field_id === field.id).length,
+  }
+}
+
+async function publicImage(image) {
+  const imageUrl = image.has_blob
+    ? await mockStore.blobUrl(image.id)
+    : placeholderImage(image.analysis.stress_level || 'healthy', image.filename)
+  const { user_id: _userId, has_blob: _hasBlob, analysis_due_at: _dueAt, ...rest } = image
+  return { ...rest, image_url: imageUrl }
+}
+
+function analyse() {
+  const stressLevel = STRESS_LEVELS[Math.floor(Math.random() * STRESS_LEVELS.length)]
+  const { confidence, scores } = classScores(Math.random, stressLevel)
+  return { status: 'completed', stress_level: stressLevel, confidence, scores }
+}
+
+// Completes analyses queued by uploads while the analysis delay is set, once
+// their time has come
+async function settleAnalyses() {
+  const now = Date.now()
+  const settled = []
+  for (const image of mockStore.state.images) {
+    if (image.analysis.status === 'processing' && new Date(image.analysis_due_at).getTime() <= now) {
+      image.analysis = analyse()
+      delete image.analysis_due_at
+      settled.push(image)
+    }
+  }
+  if (settled.length === 0) return
+  await mockStore.save()
+  for (const image of settled) {
+    emit(image.user_id, 'analysis.completed', { image: await publicImage(image) })
+  }
+  for (const userId of new Set(settled.map((image) => image.user_id))) {
+    emit(userId, 'stats.updated')
+  }
+}
+
+function imagesSince(images, days) {
+  const since = Date.now() - days * DAY_MS
+  return images.filter((img) => new Date(img.uploaded_at).getTime() >= since)
+}
+
+// Percentage of images in each stress class
+function stressDistribution(images) {
+  const analysed = images.filter((img) => img.analysis.status === 'completed')
+  const distribution = Object.fromEntries(STRESS_LEVELS.map((level) => [level, 0]))
+  if (analysed.length === 0) return distribution
+  for (const img of analysed) {
+    distribution[img.analysis.stress_level]++
+  }
+  for (const level of STRESS_LEVELS) {
+    distribution[level] = Number(((distribution[level] / analysed.length) * 100).toFixed(1))
+  }
+  return distribution
+}
+
+// One row per calendar day in the window, oldest first
+function dailyStats(images, days) {
+  const rows = new Map()
+  for (let d = days - 1; d >= 0; d--) {
+    const date = new Date(Date.now() - d * DAY_MS).toISOString().slice(0, 10)
+    rows.set(date, { date, total: 0, healthy: 0, moderate: 0, severe: 0 })
+  }
+  for (const img of images) {
+    const row = rows.get(img.uploaded_at.slice(0, 10))
+    if (!row || img.analysis.status !== 'completed') continue
+    row.total++
+    row[img.analysis.stress_level]++
+  }
+  return [...rows.values()]
+}
+
+function parseDays(query) {
+  const days = Number(query.get('days') || 30)
+  return Number.isFinite(days) && days > 0 ? Math.min(days, MAX_LOOKBACK_DAYS) : 30
+}
+
+function averageConfidence(images) {
+  const analysed = images.filter((img) => img.analysis.status === 'completed')
+  if (analysed.length === 0) return null
+  const total = analysed.reduce((sum, img) => sum + img.analysis.confidence, 0)
+  return Number((total / analysed.length).toFixed(3))
+}
+
+const routes = [
+  {
+    method: 'post',
+    path: /^\/register$/,
+    async handler({ body }) {
+      const { name, email, password } = body || {}
+      if (!name || !email || !password) {
+        throw new MockHttpError(400, 'Name, email and password are required')
+      }
+      if (mockStore.state.users.some((u) => u.email.toLowerCase() === email.toLowerCase())) {
+        throw new MockHttpError(400, 'Email already registered')
+      }
+      const user = {
+        id: mockStore.nextId('user'),
+        name,
+        email,
+        password,
+        created_at: new Date().toISOString(),
+      }
+      mockStore.state.users.push(user)
+      await mockStore.save()
+      return [201, { message: 'User registered successfully', user: publicUser(user) }]
+    },
+  },
+  {
+    method: 'post',
+    path: /^\/login$/,
+    async handler({ body }) {
+      const user = mockStore.state.users.find(
+        (u) => u.email.toLowerCase() === (body?.email || '').toLowerCase() && u.password === body?.password
+      )
+      if (!user) {
+        throw new MockHttpError(401, 'Invalid email or password')
+      }
+      const accessToken = `mock.${user.id}.${Math.random().toString(36).slice(2)}`
+      return [200, { access_token: accessToken, user: publicUser(user) }]
+    },
+  },
+  {
+    method: 'get',
+    path: /^\/profile$/,
+    async handler({ token }) {
+      return [200, publicUser(requireUser(token))]
+    },
+  },
+  {
+    method: 'get',
+    path: /^\/fields$/,
+    async handler({ token }) {
+      const user = requireUser(token)
+      return [200, mockStore.state.fields.filter((f) => f.user_id === user.id).map(publicField)]
+    },
+  },
+  {
+    method: 'post',
+    path: /^\/fields$/,
+    async handler({ token, body }) {
+      const user = requireUser(token)
+      if (!body?.name || !body?.polygon_geometry) {
+        throw new MockHttpError(400, 'Name and polygon_geometry are required')
+      }
+      const field = {
+        id: mockStore.nextId('field'),
+        user_id: user.id,
+        name: body.name,
+        crop_type: body.crop_type || '',
+        polygon_geometry: body.polygon_geometry,
+        created_at: new Date().toISOString(),
+      }
+      mockStore.state.fields.push(field)
+      await mockStore.save()
+      emit(user.id, 'field.created', { field: publicField(field) })
+      return [201, { message: 'Field created successfully', field: publicField(field) }]
+    },
+  },
+  {
+    method: 'put',
+    path: /^\/fields\/(\d+)$/,
+    async handler({ token, params, body }) {
+      const user = requireUser(token)
+      const field = requireField(user, params[0])
+      if (body?.name !== undefined && !body.name) {
+        throw new MockHttpError(400, 'Name cannot be empty')
+      }
+      for (const key of ['name', 'crop_type', 'polygon_geometry']) {
+        if (body?.[key] !== undefined) field[key] = body[key]
+      }
+      await mockStore.save()
+      emit(user.id, 'field.updated', { field: publicField(field) })
+      return [200, { message: 'Field updated successfully', field: publicField(field) }]
+    },
+  },
+  {
+    method: 'delete',
+    path: /^\/fields\/(\d+)$/,
+    async handler({ token, params }) {
+      const user = requireUser(token)
+      const field = requireField(user, params[0])
+      const images = mockStore.state.images.filter((img) => img.field_id === field.id)
+      for (const image of images) {
+        if (image.has_blob) await mockStore.deleteBlob(image.id)
+      }
+      mockStore.state.images = mockStore.state.images.filter((img) => img.field_id !== field.id)
+      mockStore.state.fields = mockStore.state.fields.filter((f) => f.id !== field.id)
+      await mockStore.save()
+      emit(user.id, 'field.deleted', { field_id: field.id })
+      emit(user.id, 'stats.updated')
+      return [200, { message: 'Field deleted successfully', deleted_images: images.length }]
+    },
+  },
+  {
+    method: 'post',
+    path: /^\/upload$/,
+    async handler({ token, body, options }) {
+      const user = requireUser(token)
+      if (!(body instanceof FormData)) {
+        throw new MockHttpError(400, 'Expected multipart form data')
+      }
+      const file = body.get('image_file')
+      if (!file) {
+        throw new MockHttpError(400, 'No image file provided')
+      }
+      const field = requireField(user, body.get('field_id'))
+      const latitude = Number(body.get('latitude'))
+      const longitude = Number(body.get('longitude'))
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw new MockHttpError(400, 'Latitude and longitude are required')
+      }
+
+      const delayed = options.analysisDelay > 0
+      const image = {
+        id: mockStore.nextId('image'),
+        field_id: field.id,
+        user_id: user.id,
+        latitude,
+        longitude,
+        filename: file.name || 'upload.jpg',
+        captured_at: body.get('captured_at') || null,
+        altitude: body.has('altitude') ? Number(body.get('altitude')) : null,
+        direction: body.has('direction') ? Number(body.get('direction')) : null,
+        uploaded_at: new Date().toISOString(),
+        has_blob: true,
+        analysis: delayed ? { status: 'processing' } : analyse(),
+      }
+      if (delayed) {
+        image.analysis_due_at = new Date(Date.now() + options.analysisDelay * 1000).toISOString()
+        setTimeout(settleAnalyses, options.analysisDelay * 1000)
+      }
+      await mockStore.putBlob(image.id, file)
+      mockStore.state.images.push(image)
+      await mockStore.save()
+      emit(user.id, 'stats.updated')
+      return [201, {
+        message: delayed ? 'Image uploaded; analysis in progress' : 'Image uploaded and analyzed successfully',
+        image: await publicImage(image),
+      }]
+    },
+  },
+  {
+    method: 'get',
+    path: /^\/images\/(\d+)$/,
+    async handler({ token, params }) {
+      const user = requireUser(token)
+      const image = mockStore.state.images.find((img) => img.id === Number(params[0]) && img.user_id === user.id)
+      if (!image) {
+        throw new MockHttpError(404, 'Image not found')
+      }
+      return [200, { image: await publicImage(image) }]
+    },
+  },
+  {
+    method: 'get',
+    path: /^\/field\/(\d+)\/stats$/,
+    async handler({ token, params, query }) {
+      const user = requireUser(token)
+      const field = requireField(user, params[0])
+      const days = parseDays(query)
+      const images = imagesSince(
+        mockStore.state.images.filter((img) => img.field_id === field.id),
+        days
+      ).sort((a, b) => b.uploaded_at.localeCompare(a.uploaded_at))
+      return [200, {
+        field: publicField(field),
+        period_days: days,
+        summary: {
+          total_images: images.length,
+          stress_distribution: stressDistribution(images),
+          average_confidence: averageConfidence(images),
+        },
+        daily_stats: dailyStats(images, days),
+        images: await Promise.all(images.map(publicImage)),
+      }]
+    },
+  },
+  {
+    method: 'get',
+    path: /^\/stats$/,
+    async handler({ token, query }) {
+      const user = requireUser(token)
+      const days = parseDays(query)
+      const fields = mockStore.state.fields.filter((f) => f.user_id === user.id)
+      const images = imagesSince(mockStore.state.images.filter((img) => img.user_id === user.id), days)
+      return [200, {
+        period_days: days,
+        summary: {
+          total_fields: fields.length,
+          total_images: images.length,
+          stress_distribution: stressDistribution(images),
+        },
+        daily_stats: dailyStats(images, days),
+        fields: fields.map((field) => {
+          const fieldImages = images.filter((img) => img.field_id === field.id)
+          return {
+            field_id: field.id,
+            field_name: field.name,
+            total_images: fieldImages.length,
+            stress_distribution: stressDistribution(fieldImages),
+          }
+        }),
+      }]
+    },
+  },
+]
+
+// Dispatch a request to the matching route. Returns [status, data].
+export async function handleRequest({ method, path, query, body, token, options }) {
+  await settleAnalyses()
+  for (const route of routes) {
+    if (route.method !== method) continue
+    const match = route.path.exec(path)
+    if (match) {
+      return route.handler({ params: match.slice(1), query, body, token, options })
+    }
+  }
+  throw new MockHttpError(404, `No mock route for ${method.toUpperCase()} ${path}`)
+}
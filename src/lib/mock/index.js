@@ -0,0 +1,177 @@
+import { AxiosError, AxiosHeaders, CanceledError } from 'axios'
+import { mockStore } from './store'
+import { handleRequest, mockEvents, MockHttpError, userForToken } from './backend'
+
+export { MOCK_CREDENTIALS } from './seed'
+
+// Offline stand-in for the Flask backend, enabled with VITE_MOCK_API=true.
+// It replaces the axios adapter of the APIService instance, so every call
+// goes through the same interceptors as in production.
+
+const OPTIONS_KEY = 'mockOptions'
+
+const DEFAULT_OPTIONS = {
+  latency: Number(import.meta.env.VITE_MOCK_LATENCY ?? 400),
+  errorRate: Number(import.meta.env.VITE_MOCK_ERROR_RATE ?? 0),
+  offline: false,
+  analysisDelay: Number(import.meta.env.VITE_MOCK_ANALYSIS_DELAY ?? 0),
+}
+
+// Latency (ms), random server error rate (0..1), a forced offline switch and
+// how long analysis of an upload takes (s), adjustable at runtime from the
+// hidden settings panel
+export function getMockOptions() {
+  try {
+    return { ...DEFAULT_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) }
+  } catch {
+    return { ...DEFAULT_OPTIONS }
+  }
+}
+
+export function setMockOptions(options) {
+  localStorage.setItem(OPTIONS_KEY, JSON.stringify({ ...getMockOptions(), ...options }))
+}
+
+export async function resetMockData() {
+  await mockStore.reset()
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// Simulated link speed for multipart uploads, in bytes per second
+const UPLOAD_BANDWIDTH = 2 * 1024 * 1024
+
+function throwIfAborted(config, request) {
+  if (config.signal?.aborted) {
+    throw new CanceledError(null, config, request)
+  }
+}
+
+// Reports progress in steps the way the XHR adapter does for a multipart
+// body, taking as long as the simulated link needs for its size
+async function simulateUpload(config, request) {
+  let total = 0
+  for (const value of config.data.values()) {
+    total += value instanceof Blob ? value.size : String(value).length
+  }
+  const steps = 10
+  for (let step = 1; step <= steps; step++) {
+    await sleep(((total / UPLOAD_BANDWIDTH) * 1000) / steps)
+    throwIfAborted(config, request)
+    const loaded = Math.round((total * step) / steps)
+    config.onUploadProgress?.({ loaded, total, progress: loaded / total, upload: true, lengthComputable: true })
+  }
+}
+
+function parseBody(data) {
+  if (typeof data !== 'string') return data
+  try {
+    return JSON.parse(data)
+  } catch {
+    return data
+  }
+}
+
+async function mockAdapter(config) {
+  const options = getMockOptions()
+  const url = new URL(config.url, 'http://mock.local')
+  for (const [key, value] of Object.entries(config.params || {})) {
+    url.searchParams.set(key, value)
+  }
+  const request = { method: config.method.toUpperCase(), url: url.pathname + url.search }
+
+  // Jitter the delay so loading states are visible but not uniform
+  await sleep(options.latency * (0.5 + Math.random()))
+
+  if (options.offline || !navigator.onLine) {
+    throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, request)
+  }
+  throwIfAborted(config, request)
+  if (config.data instanceof FormData) {
+    await simulateUpload(config, request)
+  }
+
+  const headers = AxiosHeaders.from(config.headers)
+  const token = (headers.get('Authorization') || '').replace(/^Bearer /, '')
+
+  let status
+  let data
+  try {
+    if (Math.random() < options.errorRate) {
+      throw new MockHttpError(500, 'Simulated server error')
+    }
+    ;[status, data] = await handleRequest({
+      method: config.method,
+      path: url.pathname,
+      query: url.searchParams,
+      body: parseBody(config.data),
+      token,
+      options,
+    })
+  } catch (err) {
+    if (!(err instanceof MockHttpError)) throw err
+    status = err.status
+    data = { error: err.message }
+  }
+
+  const response = {
+    data,
+    status,
+    statusText: String(status),
+    headers: new AxiosHeaders({ 'content-type': 'application/json' }),
+    config,
+    request,
+  }
+  if (config.validateStatus && !config.validateStatus(status)) {
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      request,
+      response
+    )
+  }
+  return response
+}
+
+// Stand-in for EventSource fed by the mock backend's events. Connects after
+// the simulated latency, and fails like a real stream while offline.
+export class MockEventSource extends EventTarget {
+  constructor(url) {
+    super()
+    this.closed = false
+    this.handleEvent = ({ detail }) => {
+      if (detail.userId === this.userId) {
+        this.dispatchEvent(new MessageEvent(detail.type, { data: JSON.stringify(detail.data) }))
+      }
+    }
+    this.handleOffline = () => this.dispatchEvent(new Event('error'))
+
+    const token = new URL(url, 'http://mock.local').searchParams.get('token')
+    const options = getMockOptions()
+    setTimeout(() => {
+      if (this.closed) return
+      this.userId = userForToken(token)?.id
+      if (options.offline || !navigator.onLine || !this.userId) {
+        this.dispatchEvent(new Event('error'))
+        return
+      }
+      mockEvents.addEventListener('event', this.handleEvent)
+      window.addEventListener('offline', this.handleOffline)
+      this.dispatchEvent(new Event('open'))
+    }, options.latency)
+  }
+
+  close() {
+    this.closed = true
+    mockEvents.removeEventListener('event', this.handleEvent)
+    window.removeEventListener('offline', this.handleOffline)
+  }
+}
+
+export async function installMockBackend(axiosInstance) {
+  await mockStore.load()
+  axiosInstance.defaults.adapter = mockAdapter
+}
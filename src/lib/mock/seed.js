@@ -0,0 +1,171 @@
+// Deterministic seed data for the mock backend: one demo account, a handful
+// of fields around Fresno, CA and ~90 days of analysed images per field.
+
+export const MOCK_CREDENTIALS = {
+  email: 'demo@crophealth.local',
+  password: 'demo1234',
+}
+
+export const STRESS_LEVELS = ['healthy', 'moderate', 'severe']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Small seeded PRNG so every fresh seed looks the same
+function mulberry32(seed) {
+  return function () {
+    seed |= 0
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Each field's share of healthy/moderate/severe drifts from `start` to `end`
+// over the seeded period, so trends are visible in the charts.
+const SEED_FIELDS = [
+  {
+    name: 'North 40',
+    crop_type: 'Corn',
+    ring: [[-119.912, 36.842], [-119.898, 36.842], [-119.898, 36.832], [-119.912, 36.832]],
+    start: [0.8, 0.15, 0.05],
+    end: [0.55, 0.3, 0.15],
+  },
+  {
+    name: 'River Bottom',
+    crop_type: 'Wheat',
+    ring: [[-119.884, 36.829], [-119.871, 36.831], [-119.869, 36.821], [-119.882, 36.818]],
+    start: [0.6, 0.3, 0.1],
+    end: [0.8, 0.15, 0.05],
+  },
+  {
+    name: 'East Orchard',
+    crop_type: 'Almonds',
+    ring: [[-119.861, 36.845], [-119.846, 36.845], [-119.846, 36.836], [-119.854, 36.833], [-119.861, 36.836]],
+    start: [0.7, 0.2, 0.1],
+    end: [0.7, 0.2, 0.1],
+  },
+  {
+    name: 'South Pasture',
+    crop_type: 'Alfalfa',
+    ring: [[-119.905, 36.815], [-119.889, 36.815], [-119.889, 36.804], [-119.905, 36.804]],
+    start: [0.5, 0.3, 0.2],
+    end: [0.35, 0.35, 0.3],
+  },
+]
+
+const STRESS_COLORS = {
+  healthy: '#16a34a',
+  moderate: '#ca8a04',
+  severe: '#dc2626',
+}
+
+// Stand-in for a crop photo, tinted by the predicted class
+export function placeholderImage(stressLevel, label) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="640" height="480">
+<rect width="640" height="480" fill="${STRESS_COLORS[stressLevel]}" opacity="0.35"/>
+<text x="320" y="250" font-family="sans-serif" font-size="32" text-anchor="middle" fill="#1f2937">${label}</text>
+</svg>`
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`
+}
+
+function pickStress(rand, weights) {
+  const r = rand()
+  if (r < weights[0]) return 'healthy'
+  if (r < weights[0] + weights[1]) return 'moderate'
+  return 'severe'
+}
+
+// Plausible per-class scores with `stressLevel` as the top class
+export function classScores(rand, stressLevel) {
+  const confidence = 0.6 + rand() * 0.38
+  const rest = 1 - confidence
+  const split = rand()
+  const others = STRESS_LEVELS.filter((level) => level !== stressLevel)
+  return {
+    confidence: Number(confidence.toFixed(3)),
+    scores: {
+      [stressLevel]: Number(confidence.toFixed(3)),
+      [others[0]]: Number((rest * split).toFixed(3)),
+      [others[1]]: Number((rest * (1 - split)).toFixed(3)),
+    },
+  }
+}
+
+function randomPointInBounds(rand, ring) {
+  const lons = ring.map((p) => p[0])
+  const lats = ring.map((p) => p[1])
+  const minLon = Math.min(...lons)
+  const maxLon = Math.max(...lons)
+  const minLat = Math.min(...lats)
+  const maxLat = Math.max(...lats)
+  // Shrink towards the centre so points stay inside non-rectangular rings
+  const lon = minLon + (maxLon - minLon) * (0.2 + rand() * 0.6)
+  const lat = minLat + (maxLat - minLat) * (0.2 + rand() * 0.6)
+  return [Number(lat.toFixed(6)), Number(lon.toFixed(6))]
+}
+
+export function createSeedState(now = Date.now()) {
+  const rand = mulberry32(20240601)
+  const seedDays = 90
+  const userId = 1
+
+  const state = {
+    users: [
+      {
+        id: userId,
+        name: 'Demo Grower',
+        email: MOCK_CREDENTIALS.email,
+        password: MOCK_CREDENTIALS.password,
+        created_at: new Date(now - 120 * DAY_MS).toISOString(),
+      },
+    ],
+    fields: [],
+    images: [],
+    nextIds: { user: 2, field: 1, image: 1 },
+  }
+
+  for (const seedField of SEED_FIELDS) {
+    const ring = [...seedField.ring, seedField.ring[0]]
+    const field = {
+      id: state.nextIds.field++,
+      user_id: userId,
+      name: seedField.name,
+      crop_type: seedField.crop_type,
+      polygon_geometry: JSON.stringify({ type: 'Polygon', coordinates: [ring] }),
+      created_at: new Date(now - (seedDays + 10) * DAY_MS).toISOString(),
+    }
+    state.fields.push(field)
+
+    for (let day = seedDays; day >= 0; day--) {
+      // Scouting happens two or three times a week
+      if (rand() > 0.4) continue
+      const t = 1 - day / seedDays
+      const weights = seedField.start.map((s, i) => s + (seedField.end[i] - s) * t)
+      const count = 1 + Math.floor(rand() * 4)
+      for (let n = 0; n < count; n++) {
+        const stressLevel = pickStress(rand, weights)
+        const [latitude, longitude] = randomPointInBounds(rand, seedField.ring)
+        const capturedAt = new Date(now - day * DAY_MS - Math.floor(rand() * 8 * 60 * 60 * 1000))
+        const { confidence, scores } = classScores(rand, stressLevel)
+        state.images.push({
+          id: state.nextIds.image++,
+          field_id: field.id,
+          user_id: userId,
+          latitude,
+          longitude,
+          filename: `IMG_${String(state.nextIds.image).padStart(4, '0')}.jpg`,
+          uploaded_at: capturedAt.toISOString(),
+          analysis: {
+            status: 'completed',
+            stress_level: stressLevel,
+            confidence,
+            scores,
+          },
+        })
+      }
+    }
+  }
+
+  return state
+}
@@ -0,0 +1,70 @@
+import { openDB, idbGet, idbPut, idbDelete, idbClear } from '@/lib/idb'
+import { createSeedState } from './seed'
+
+const DB_NAME = 'crophealth-mock'
+const DB_VERSION = 1
+const STATE_STORE = 'state'
+const BLOB_STORE = 'blobs'
+const STATE_KEY = 'db'
+
+// In-browser database behind the mock backend. The whole state lives in one
+// IndexedDB record; uploaded image files are kept as blobs beside it.
+class MockStore {
+  constructor() {
+    this.db = null
+    this.state = null
+    this.objectUrls = new Map()
+  }
+
+  async load() {
+    this.db = await openDB(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(STATE_STORE)) db.createObjectStore(STATE_STORE)
+      if (!db.objectStoreNames.contains(BLOB_STORE)) db.createObjectStore(BLOB_STORE)
+    })
+    this.state = await idbGet(this.db, STATE_STORE, STATE_KEY)
+    if (!this.state) {
+      this.state = createSeedState()
+      await this.save()
+    }
+    return this
+  }
+
+  async save() {
+    await idbPut(this.db, STATE_STORE, this.state, STATE_KEY)
+  }
+
+  async reset() {
+    for (const url of this.objectUrls.values()) URL.revokeObjectURL(url)
+    this.objectUrls.clear()
+    await idbClear(this.db, BLOB_STORE)
+    this.state = createSeedState()
+    await this.save()
+  }
+
+  nextId(kind) {
+    return this.state.nextIds[kind]++
+  }
+
+  async putBlob(imageId, blob) {
+    await idbPut(this.db, BLOB_STORE, blob, imageId)
+  }
+
+  async deleteBlob(imageId) {
+    const url = this.objectUrls.get(imageId)
+    if (url) URL.revokeObjectURL(url)
+    this.objectUrls.delete(imageId)
+    await idbDelete(this.db, BLOB_STORE, imageId)
+  }
+
+  // Object URLs are created lazily and reused for the lifetime of the page
+  async blobUrl(imageId) {
+    if (this.objectUrls.has(imageId)) return this.objectUrls.get(imageId)
+    const blob = await idbGet(this.db, BLOB_STORE, imageId)
+    if (!blob) return null
+    const url = URL.createObjectURL(blob)
+    this.objectUrls.set(imageId, url)
+    return url
+  }
+}
+
+export const mockStore = new MockStore()
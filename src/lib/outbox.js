@@ -0,0 +1,55 @@
+import { openDB, idbGetAll, idbPut, idbDelete } from '@/lib/idb'
+
+const DB_NAME = 'crophealth-outbox'
+const DB_VERSION = 1
+const UPLOAD_STORE = 'uploads'
+
+// Uploads that could not be sent because the device was offline, kept in
+// IndexedDB with their image file until they sync. Records are scoped to the
+// user who queued them.
+
+// The fields of a queue item worth keeping; status, progress and the preview
+// URL are rebuilt when it is restored
+const PERSISTED_KEYS = [
+  'id',
+  'file',
+  'latitude',
+  'longitude',
+  'altitude',
+  'direction',
+  'capturedAt',
+  'fieldId',
+  'locationSource',
+  'originalSize',
+  'error',
+  'queuedAt',
+]
+
+let dbPromise = null
+
+function getDB() {
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(UPLOAD_STORE)) {
+        db.createObjectStore(UPLOAD_STORE, { keyPath: 'id' })
+      }
+    })
+  }
+  return dbPromise
+}
+
+export async function listOutbox(userId) {
+  const records = await idbGetAll(await getDB(), UPLOAD_STORE)
+  return records
+    .filter((record) => record.userId === userId)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+}
+
+export async function saveToOutbox(userId, item) {
+  const record = Object.fromEntries(PERSISTED_KEYS.map((key) => [key, item[key]]))
+  await idbPut(await getDB(), UPLOAD_STORE, { ...record, userId })
+}
+
+export async function removeFromOutbox(id) {
+  await idbDelete(await getDB(), UPLOAD_STORE, id)
+}
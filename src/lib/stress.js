@@ -0,0 +1,18 @@
+// Stress classes returned by the analysis model, in order of severity
+
+export const STRESS_LEVELS = ['healthy', 'moderate', 'severe']
+
+export const STRESS_META = {
+  healthy: { label: 'Healthy', color: '#16a34a', badgeClass: 'border-green-200 bg-green-50 text-green-700' },
+  moderate: { label: 'Moderate Stress', color: '#ca8a04', badgeClass: 'border-yellow-200 bg-yellow-50 text-yellow-700' },
+  severe: { label: 'Severe Stress', color: '#dc2626', badgeClass: 'border-red-200 bg-red-50 text-red-700' },
+}
+
+// Chart config for the ui/chart components, keyed by stress class
+export const STRESS_CHART_CONFIG = Object.fromEntries(
+  STRESS_LEVELS.map((level) => [level, { label: STRESS_META[level].label, color: STRESS_META[level].color }])
+)
+
+export function formatConfidence(confidence) {
+  return confidence == null ? 'N/A' : `${Math.round(confidence * 100)}%`
+}
@@ -0,0 +1,186 @@
+import { TILE_PACK_CACHE } from '@/lib/cache-names'
+
+// Offline map tile packs. A pack is an area and a zoom range whose tiles are
+// fetched ahead of time into Cache Storage; the service worker falls back to
+// that cache when a tile is requested offline. Pack metadata is kept in
+// localStorage, the tiles themselves only in the cache.
+//
+// The public OpenStreetMap servers forbid bulk downloads in their tile usage
+// policy, so packs come only from sources that allow offline use (see
+// supportsOffline). MAX_PACK_TILES keeps packs within what a device can store.
+
+export const OSM_TILES = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  subdomains: 'abc',
+}
+
+export const PACK_MIN_ZOOM = 10
+export const PACK_MAX_ZOOM = 18
+export const MAX_PACK_TILES = 5000
+
+// Typical size of a rural OSM tile, for estimates before downloading
+const AVERAGE_TILE_BYTES = 15 * 1024
+const DOWNLOAD_CONCURRENCY = 4
+const PACKS_KEY = 'tilePacks'
+
+export const TILE_PACKS_SUPPORTED = typeof window !== 'undefined' && 'caches' in window
+
+function lonToTileX(lon, zoom) {
+  return Math.floor(((lon + 180) / 360) * 2 ** zoom)
+}
+
+function latToTileY(lat, zoom) {
+  const rad = (lat * Math.PI) / 180
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom)
+}
+
+function clampTile(value, zoom) {
+  return Math.min(Math.max(value, 0), 2 ** zoom - 1)
+}
+
+// Tile index ranges covering [[south, west], [north, east]] at one zoom
+function tileRange([[south, west], [north, east]], zoom) {
+  return {
+    minX: clampTile(lonToTileX(west, zoom), zoom),
+    maxX: clampTile(lonToTileX(east, zoom), zoom),
+    minY: clampTile(latToTileY(north, zoom), zoom),
+    maxY: clampTile(latToTileY(south, zoom), zoom),
+  }
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let count = 0
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, zoom)
+    count += (maxX - minX + 1) * (maxY - minY + 1)
+  }
+  return count
+}
+
+export function estimatePackBytes(tileCount) {
+  return tileCount * AVERAGE_TILE_BYTES
+}
+
+// Same URL Leaflet's TileLayer requests, including its subdomain choice and
+// the flipped row numbering of TMS sources, so the cached tile is found again
+export function tileUrl(source, { z, x, y }) {
+  const subdomains = source.subdomains || ''
+  const s = subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : ''
+  return source.url
+    .replace('{s}', s)
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', source.type === 'tms' ? 2 ** z - 1 - y : y)
+    .replace('{r}', '')
+}
+
+function packUrls(pack) {
+  const urls = []
+  for (let z = pack.minZoom; z <= pack.maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(pack.bounds, z)
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        urls.push(tileUrl(pack.source, { z, x, y }))
+      }
+    }
+  }
+  return urls
+}
+
+export function listTilePacks() {
+  try {
+    return JSON.parse(localStorage.getItem(PACKS_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+function savePacks(packs) {
+  localStorage.setItem(PACKS_KEY, JSON.stringify(packs))
+}
+
+// Delete cached tiles that no remaining pack needs; packs can overlap
+async function deleteUnusedTiles(urls) {
+  const keep = new Set(listTilePacks().flatMap(packUrls))
+  const cache = await caches.open(TILE_PACK_CACHE)
+  for (const url of urls) {
+    if (!keep.has(url)) await cache.delete(url)
+  }
+}
+
+// Fetches every tile of a pack into the cache. `onProgress` receives
+// { done, total, bytes, failed }; aborting `signal` stops the download and
+// removes what it stored. Resolves with the saved pack.
+export async function downloadTilePack(
+  { name, bounds, minZoom, maxZoom, fieldId = null, source },
+  { onProgress, signal } = {}
+) {
+  const pack = {
+    id: `${Date.now().toString(36)}`,
+    name,
+    bounds,
+    minZoom,
+    maxZoom,
+    fieldId,
+    source,
+  }
+  const urls = packUrls(pack)
+  if (urls.length > MAX_PACK_TILES) {
+    throw new Error(`This area needs ${urls.length} tiles; the limit is ${MAX_PACK_TILES}. Choose a smaller area or fewer zoom levels.`)
+  }
+
+  // Ask the browser not to evict the cache under storage pressure
+  try {
+    await navigator.storage?.persist?.()
+  } catch {
+    // Best effort; the pack still works without persistence
+  }
+
+  const cache = await caches.open(TILE_PACK_CACHE)
+  const progress = { done: 0, total: urls.length, bytes: 0, failed: 0 }
+  let next = 0
+
+  const worker = async () => {
+    while (next < urls.length && !signal?.aborted) {
+      const url = urls[next++]
+      try {
+        let response = await cache.match(url)
+        if (!response) {
+          response = await fetch(url, { mode: 'cors', signal })
+          if (!response.ok) throw new Error(`HTTP ${response.status}`)
+          await cache.put(url, response.clone())
+        }
+        progress.bytes += (await response.blob()).size
+      } catch (err) {
+        if (signal?.aborted) break
+        console.warn(`Failed to fetch tile ${url}:`, err)
+        progress.failed++
+      }
+      progress.done++
+      onProgress?.({ ...progress })
+    }
+  }
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker))
+
+  if (signal?.aborted) {
+    await deleteUnusedTiles(urls)
+    throw new DOMException('Tile download cancelled', 'AbortError')
+  }
+
+  const saved = {
+    ...pack,
+    tileCount: urls.length - progress.failed,
+    failedCount: progress.failed,
+    bytes: progress.bytes,
+    createdAt: new Date().toISOString(),
+  }
+  savePacks([...listTilePacks(), saved])
+  return saved
+}
+
+export async function deleteTilePack(id) {
+  const pack = listTilePacks().find((p) => p.id === id)
+  if (!pack) return
+  savePacks(listTilePacks().filter((p) => p.id !== id))
+  await deleteUnusedTiles(packUrls(pack))
+}
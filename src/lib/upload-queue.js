@@ -0,0 +1,246 @@
+import { listOutbox, removeFromOutbox, saveToOutbox } from '@/lib/outbox'
+
+export const UPLOAD_CONCURRENCY = 3
+
+// How often waiting uploads are retried while the browser reports being
+// online, in case the 'online' event was missed or the network was flaky
+const SYNC_INTERVAL = 30 * 1000
+
+export const EDITABLE_STATUSES = ['ready', 'failed', 'waiting']
+
+let nextItemId = 1
+
+// Unique across page loads, since waiting items keep their id in the outbox
+function createItemId() {
+  return `${Date.now().toString(36)}-${nextItemId++}`
+}
+
+// No response at all means the request never reached the server
+function isNetworkError(err) {
+  return !err.response && err.code !== 'ERR_CANCELED'
+}
+
+function describeError(err) {
+  return err.response?.data?.error || 'Failed to upload image'
+}
+
+// Queue of photos to upload. Items move reading -> ready -> queued ->
+// uploading -> done or failed, with at most `concurrency` uploads running at
+// once; failed items can be re-queued on their own.
+//
+// Uploads that cannot reach the server, because the browser is offline or the
+// request fails with a network error, become 'waiting' and are saved to the
+// IndexedDB outbox. They are sent again when the browser comes back online,
+// every SYNC_INTERVAL, and when the queue is next started for the same user.
+//
+// `upload(item, { onUploadProgress, signal })` performs the request and
+// resolves with its result. `onIdle` runs when the last running upload
+// settles, e.g. to refresh stats once per batch rather than per file.
+export class UploadQueue {
+  constructor({ upload, onIdle, concurrency = UPLOAD_CONCURRENCY }) {
+    this.upload = upload
+    this.onIdle = onIdle
+    this.concurrency = concurrency
+    this.items = []
+    this.userId = null
+    this.active = false
+    this.timer = null
+    this.controllers = new Map()
+    this.listeners = new Set()
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  getItems = () => this.items
+
+  setItems(items) {
+    this.items = items
+    for (const listener of this.listeners) listener()
+  }
+
+  // Begin syncing for a user and restore their outbox
+  start(userId) {
+    this.userId = userId
+    this.active = true
+    window.addEventListener('online', this.sync)
+    this.timer = setInterval(this.sync, SYNC_INTERVAL)
+    this.restore(userId)
+  }
+
+  // Abort running uploads and drop the in-memory queue. Waiting items stay in
+  // the outbox.
+  stop() {
+    this.active = false
+    window.removeEventListener('online', this.sync)
+    clearInterval(this.timer)
+    for (const controller of this.controllers.values()) controller.abort()
+    for (const item of this.items) URL.revokeObjectURL(item.previewUrl)
+    this.setItems([])
+  }
+
+  async restore(userId) {
+    try {
+      const records = await listOutbox(userId)
+      if (!this.active || this.userId !== userId) return
+      const known = new Set(this.items.map((item) => item.id))
+      const restored = records
+        .filter((record) => !known.has(record.id))
+        .map((record) => {
+          const { userId: _userId, ...item } = record
+          return {
+            ...item,
+            previewUrl: URL.createObjectURL(item.file),
+            status: 'waiting',
+            loaded: 0,
+            total: item.file.size,
+            result: null,
+          }
+        })
+      if (restored.length > 0) {
+        this.setItems([...restored, ...this.items])
+        this.sync()
+      }
+    } catch (err) {
+      console.error('Error loading upload outbox:', err)
+    }
+  }
+
+  persist(item) {
+    saveToOutbox(this.userId, item).catch((err) => console.error('Error saving upload to outbox:', err))
+  }
+
+  forget(id) {
+    removeFromOutbox(id).catch((err) => console.error('Error removing upload from outbox:', err))
+  }
+
+  update = (id, changes) => {
+    this.setItems(this.items.map((item) => (item.id === id ? { ...item, ...changes } : item)))
+    const item = this.items.find((i) => i.id === id)
+    if (item?.status === 'waiting') this.persist(item)
+  }
+
+  // Adds files in the 'reading' state, then fills each one in with
+  // `prepare(item)` (e.g. EXIF data) one at a time and marks it ready. An
+  // item that cannot be prepared is marked failed and the rest carry on.
+  add = async (files, prepare) => {
+    const added = [...files].map((file) => ({
+      id: createItemId(),
+      file,
+      previewUrl: URL.createObjectURL(file),
+      status: 'reading',
+      latitude: '',
+      longitude: '',
+      capturedAt: '',
+      fieldId: '',
+      loaded: 0,
+      total: file.size,
+      error: '',
+      result: null,
+    }))
+    this.setItems([...this.items, ...added])
+    for (const item of added) {
+      let changes
+      try {
+        changes = { ...(prepare ? await prepare(item) : {}), status: 'ready' }
+      } catch (err) {
+        console.error(`Error preparing ${item.file.name}:`, err)
+        changes = { status: 'failed', error: err.message || 'Could not read this photo' }
+      }
+      if (this.items.some((i) => i.id === item.id)) {
+        this.update(item.id, changes)
+      }
+    }
+  }
+
+  // Discards an item, cancelling its upload and deleting it from the outbox
+  remove = (id) => {
+    this.controllers.get(id)?.abort()
+    const item = this.items.find((i) => i.id === id)
+    if (item) URL.revokeObjectURL(item.previewUrl)
+    this.setItems(this.items.filter((i) => i.id !== id))
+    this.forget(id)
+    this.pump()
+  }
+
+  // Queue ready, failed or waiting items for upload. While offline they go
+  // straight to the outbox instead.
+  enqueue = (ids) => {
+    const wanted = new Set(ids)
+    const offline = !navigator.onLine
+    const now = new Date().toISOString()
+    this.setItems(this.items.map((item) => {
+      if (!wanted.has(item.id) || !EDITABLE_STATUSES.includes(item.status)) return item
+      return offline
+        ? { ...item, status: 'waiting', error: 'Offline', queuedAt: item.queuedAt || now }
+        : { ...item, status: 'queued', error: '' }
+    }))
+    if (offline) {
+      for (const item of this.items) {
+        if (wanted.has(item.id) && item.status === 'waiting') this.persist(item)
+      }
+    }
+    this.pump()
+  }
+
+  // Re-queue everything in the outbox if the browser is online
+  sync = () => {
+    if (!navigator.onLine) return
+    const waiting = this.items.filter((item) => item.status === 'waiting')
+    if (waiting.length > 0) this.enqueue(waiting.map((item) => item.id))
+  }
+
+  clearFinished = () => {
+    for (const item of this.items) {
+      if (item.status === 'done') URL.revokeObjectURL(item.previewUrl)
+    }
+    this.setItems(this.items.filter((item) => item.status !== 'done'))
+  }
+
+  pump() {
+    const active = this.items.filter((item) => item.status === 'uploading').length
+    const next = this.items
+      .filter((item) => item.status === 'queued')
+      .slice(0, Math.max(0, this.concurrency - active))
+    for (const item of next) this.run(item)
+  }
+
+  async run(item) {
+    const controller = new AbortController()
+    this.controllers.set(item.id, controller)
+    this.update(item.id, { status: 'uploading', loaded: 0, total: item.file.size, error: '' })
+    try {
+      const result = await this.upload(item, {
+        signal: controller.signal,
+        onUploadProgress: (e) => this.update(item.id, { loaded: e.loaded, total: e.total || item.file.size }),
+      })
+      this.update(item.id, { status: 'done', loaded: item.file.size, total: item.file.size, result })
+      this.forget(item.id)
+    } catch (err) {
+      // Aborted because the item was removed or the queue stopped
+      if (controller.signal.aborted) return
+      if (isNetworkError(err)) {
+        this.update(item.id, {
+          status: 'waiting',
+          error: 'Waiting for connection',
+          queuedAt: item.queuedAt || new Date().toISOString(),
+        })
+      } else {
+        // The server rejected it, so resending it from the outbox after a
+        // reload would fail the same way; it stays in the list to fix and retry
+        this.update(item.id, { status: 'failed', error: describeError(err) })
+        this.forget(item.id)
+      }
+    } finally {
+      this.controllers.delete(item.id)
+      if (this.active) {
+        this.pump()
+        if (!this.items.some((i) => i.status === 'queued' || i.status === 'uploading')) {
+          this.onIdle?.()
+        }
+      }
+    }
+  }
+}
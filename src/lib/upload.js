@@ -0,0 +1,79 @@
+import { matchFields } from '@/lib/geometry'
+
+// Helpers for preparing photos for upload: coordinate parsing, field
+// matching, problem detection and the multipart body.
+
+// [lat, lon] from coordinate text, or null while it is incomplete
+export function parsePosition(latText, lonText) {
+  const lat = Number(latText)
+  const lon = Number(lonText)
+  if (latText === '' || lonText === '' || !Number.isFinite(lat) || !Number.isFinite(lon)) return null
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null
+  return [lat, lon]
+}
+
+// Date -> value for a datetime-local input, in local time
+export function toLocalInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 16)
+}
+
+// Changes for an upload item when its coordinates are set. Selects the field
+// containing them, keeping the current choice if it is one of several
+// overlapping matches.
+export function locateItem(item, latitude, longitude, fields) {
+  const changes = { latitude, longitude }
+  const point = parsePosition(latitude, longitude)
+  if (!point) return changes
+  const { matches } = matchFields(point, fields)
+  if (matches.length > 0 && !matches.some((field) => String(field.id) === item.fieldId)) {
+    changes.fieldId = String(matches[0].id)
+  }
+  return changes
+}
+
+// Where an item's coordinates fall relative to the fields, or null when it
+// has no usable position
+export function itemMatch(item, fields) {
+  const point = parsePosition(item.latitude, item.longitude)
+  return point ? matchFields(point, fields) : null
+}
+
+// Problems to show for an item. `blocking` ones stop it from being uploaded;
+// the rest are warnings the user may accept.
+export function itemIssues(item, fields) {
+  const issues = []
+  const match = itemMatch(item, fields)
+  if (!match) {
+    issues.push({ blocking: true, message: item.locationSource === 'missing' ? 'No GPS location in photo' : 'Coordinates needed' })
+  } else if (match.matches.length === 0) {
+    issues.push({ blocking: false, message: 'Outside all fields' })
+  } else if (match.matches.length > 1) {
+    issues.push({ blocking: false, message: 'In overlapping fields' })
+  } else if (item.fieldId && String(match.matches[0].id) !== item.fieldId) {
+    issues.push({ blocking: false, message: `Inside ${match.matches[0].name}, not the selected field` })
+  }
+  if (!item.fieldId) {
+    issues.push({ blocking: true, message: 'No field selected' })
+  }
+  return issues
+}
+
+export function canUpload(item, fields) {
+  return !itemIssues(item, fields).some((issue) => issue.blocking)
+}
+
+export function buildFormData(item) {
+  const formData = new FormData()
+  formData.append('image_file', item.file)
+  formData.append('field_id', item.fieldId)
+  formData.append('latitude', item.latitude)
+  formData.append('longitude', item.longitude)
+  if (item.capturedAt) {
+    formData.append('captured_at', new Date(item.capturedAt).toISOString())
+  }
+  // The rest of the photo's GPS data, which resized copies no longer carry
+  if (item.altitude != null) formData.append('altitude', item.altitude)
+  if (item.direction != null) formData.append('direction', item.direction)
+  return formData
+}
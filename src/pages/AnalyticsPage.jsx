@@ -0,0 +1,230 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useOutletContext, useSearchParams } from 'react-router-dom'
+import { format, parseISO } from 'date-fns'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart.jsx'
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts'
+import { AlertTriangle, BarChart3, GitCompare } from 'lucide-react'
+import DateRangePicker from '@/components/DateRangePicker.jsx'
+import { useFieldStats } from '@/hooks/use-field-stats'
+import { api } from '@/lib/api'
+import {
+  bucketUnit,
+  fieldTrends,
+  groupStats,
+  rangeDays,
+  rangeFromParams,
+  stressShares,
+  toDateParam,
+} from '@/lib/analytics'
+import { comparisonParams } from '@/lib/comparison'
+import { STRESS_LEVELS, STRESS_CHART_CONFIG } from '@/lib/stress'
+
+const VOLUME_CHART_CONFIG = {
+  total: { label: 'Images', color: 'var(--chart-2)' },
+}
+
+function formatTick(date) {
+  return format(parseISO(date), 'MMM d')
+}
+
+function bucketLabel(date, unit) {
+  return unit === 'week' ? `Week of ${format(parseISO(date), 'MMM d')}` : format(parseISO(date), 'EEE, MMM d')
+}
+
+function ChartCard({ title, description, children }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+        <CardDescription>{description}</CardDescription>
+      </CardHeader>
+      <CardContent>{children}</CardContent>
+    </Card>
+  )
+}
+
+// Analytics Tab
+// `?from=&to=` (yyyy-MM-dd) select the date range so a view can be linked;
+// the last 30 days by default. The API only takes a number of days back from
+// today, so enough days are fetched to cover the range and the rest is
+// filtered out here.
+function AnalyticsPage() {
+  const { fields, revision } = useOutletContext()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const range = useMemo(() => rangeFromParams(searchParams), [searchParams])
+  const days = rangeDays(range)
+  const unit = bucketUnit(range)
+  // Overall stats with the number of days they cover
+  const [overall, setOverall] = useState(null)
+  const [overallError, setOverallError] = useState('')
+  const { statsByField, loading: fieldsLoading, error: fieldsError } = useFieldStats(
+    fields.map((field) => field.id),
+    days,
+    revision
+  )
+  const loading = (overall?.days !== days && !overallError) || fieldsLoading
+  const error = overallError || fieldsError
+
+  useEffect(() => {
+    let cancelled = false
+    api.getOverallStats(days)
+      .then((data) => {
+        if (cancelled) return
+        setOverall({ days, data })
+        setOverallError('')
+      })
+      .catch((err) => {
+        if (!cancelled) setOverallError(err.response?.data?.error || 'Failed to load analytics')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [days, revision])
+
+  const buckets = useMemo(() => groupStats(overall?.data.daily_stats || [], range, unit), [overall, range, unit])
+  const shares = useMemo(() => stressShares(buckets), [buckets])
+  const weekly = useMemo(() => groupStats(overall?.data.daily_stats || [], range, 'week'), [overall, range])
+  const fieldStats = useMemo(
+    () => fields.filter((field) => statsByField?.[field.id]).map((field) => ({ field, stats: statsByField[field.id] })),
+    [fields, statsByField]
+  )
+  const trends = useMemo(() => fieldTrends(fieldStats, range, unit), [fieldStats, range, unit])
+  const trendConfig = Object.fromEntries(
+    trends.series.map((series, index) => [series.key, { label: series.name, color: `var(--chart-${(index % 5) + 1})` }])
+  )
+  const totalImages = buckets.reduce((sum, bucket) => sum + bucket.total, 0)
+  const per = unit === 'week' ? 'week' : 'day'
+
+  const handleRangeChange = (next) => {
+    setSearchParams({ from: toDateParam(next.from), to: toDateParam(next.to) }, { replace: true })
+  }
+
+  const tooltipLabel = (_, payload) => payload[0] && bucketLabel(payload[0].payload.date, unit)
+
+  return (
+    <>
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h2 className="text-2xl font-bold">Analytics</h2>
+          <p className="text-sm text-gray-600">
+            {loading ? 'Loading...' : `${totalImages} image${totalImages === 1 ? '' : 's'} analyzed in this period`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <DateRangePicker value={range} onChange={handleRangeChange} />
+          <Button variant="outline" asChild>
+            <Link to={`/analytics/compare?${comparisonParams({ fieldIds: [], windows: [range] })}`}>
+              <GitCompare className="h-4 w-4 mr-2" />
+              Compare
+            </Link>
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {!loading && !error && totalImages === 0 ? (
+        <Card>
+          <CardContent>
+            <div className="text-center py-12">
+              <BarChart3 className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No images in this period</h3>
+              <p className="text-gray-600">Choose a longer date range, or upload photos to start tracking trends</p>
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <ChartCard title="Stress Distribution" description={`Images per ${per} by stress class`}>
+            <ChartContainer config={STRESS_CHART_CONFIG} className="h-64 w-full aspect-auto">
+              <BarChart data={buckets}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="date" tickFormatter={formatTick} tickLine={false} axisLine={false} minTickGap={24} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                <ChartTooltip content={<ChartTooltipContent labelFormatter={tooltipLabel} />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                {STRESS_LEVELS.map((level) => (
+                  <Bar key={level} dataKey={level} stackId="stress" fill={`var(--color-${level})`} />
+                ))}
+              </BarChart>
+            </ChartContainer>
+          </ChartCard>
+
+          <ChartCard title="Health Share" description={`Share of each stress class per ${per}`}>
+            <ChartContainer config={STRESS_CHART_CONFIG} className="h-64 w-full aspect-auto">
+              <AreaChart data={shares}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="date" tickFormatter={formatTick} tickLine={false} axisLine={false} minTickGap={24} />
+                <YAxis domain={[0, 100]} unit="%" tickLine={false} axisLine={false} width={40} />
+                <ChartTooltip content={<ChartTooltipContent labelFormatter={tooltipLabel} />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                {STRESS_LEVELS.map((level) => (
+                  <Area
+                    key={level}
+                    dataKey={level}
+                    stackId="share"
+                    type="monotone"
+                    stroke={`var(--color-${level})`}
+                    fill={`var(--color-${level})`}
+                    fillOpacity={0.4}
+                  />
+                ))}
+              </AreaChart>
+            </ChartContainer>
+          </ChartCard>
+
+          <ChartCard title="Field Trends" description={`Share of stressed images per field and ${per}`}>
+            {trends.series.length === 0 ? (
+              <p className="text-sm text-gray-600">Create a field to compare trends.</p>
+            ) : (
+              <ChartContainer config={trendConfig} className="h-64 w-full aspect-auto">
+                <LineChart data={trends.rows}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="date" tickFormatter={formatTick} tickLine={false} axisLine={false} minTickGap={24} />
+                  <YAxis domain={[0, 100]} unit="%" tickLine={false} axisLine={false} width={40} />
+                  <ChartTooltip content={<ChartTooltipContent labelFormatter={tooltipLabel} />} />
+                  <ChartLegend content={<ChartLegendContent />} />
+                  {trends.series.map((series) => (
+                    <Line
+                      key={series.key}
+                      dataKey={series.key}
+                      type="monotone"
+                      stroke={`var(--color-${series.key})`}
+                      strokeWidth={2}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ChartContainer>
+            )}
+          </ChartCard>
+
+          <ChartCard title="Image Volume" description="Images uploaded per week">
+            <ChartContainer config={VOLUME_CHART_CONFIG} className="h-64 w-full aspect-auto">
+              <BarChart data={weekly}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="date" tickFormatter={formatTick} tickLine={false} axisLine={false} minTickGap={24} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                <ChartTooltip
+                  content={<ChartTooltipContent labelFormatter={(_, payload) => payload[0] && bucketLabel(payload[0].payload.date, 'week')} />}
+                />
+                <Bar dataKey="total" fill="var(--color-total)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+          </ChartCard>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default AnalyticsPage
@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Leaf, AlertTriangle } from 'lucide-react'
+import { api, MOCK_API } from '@/lib/api'
+
+// Authentication Component
+// `mode` is 'login' or 'register'; switching modes keeps the router state so
+// the originally requested page survives the round trip.
+function AuthPage({ mode, onLogin }) {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const isLogin = mode === 'login'
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    password: ''
+  })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [mockCredentials, setMockCredentials] = useState(null)
+
+  useEffect(() => {
+    if (MOCK_API) {
+      import('@/lib/mock').then(({ MOCK_CREDENTIALS }) => setMockCredentials(MOCK_CREDENTIALS))
+    }
+  }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    try {
+      if (isLogin) {
+        await api.login({ email: formData.email, password: formData.password })
+      } else {
+        await api.register(formData)
+        await api.login({ email: formData.email, password: formData.password })
+      }
+      await onLogin()
+    } catch (err) {
+      setError(err.response?.data?.error || 'An error occurred')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const switchMode = () => {
+    setError('')
+    navigate(isLogin ? '/register' : '/login', { replace: true, state: location.state })
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-green-50 to-blue-50">
+      <Card className="w-full max-w-md">
+        <CardHeader className="text-center">
+          <div className="flex items-center justify-center mb-4">
+            <Leaf className="h-8 w-8 text-green-600 mr-2" />
+            <h1 className="text-2xl font-bold text-green-800">CropHealth AI+</h1>
+          </div>
+          <CardTitle>{isLogin ? 'Sign In' : 'Create Account'}</CardTitle>
+          <CardDescription>
+            {isLogin ? 'Welcome back to your crop monitoring dashboard' : 'Join the smart farming revolution'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {mockCredentials && (
+            <Alert className="mb-4">
+              <AlertDescription>
+                Mock backend: sign in as {mockCredentials.email} / {mockCredentials.password}
+              </AlertDescription>
+            </Alert>
+          )}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {!isLogin && (
+              <div>
+                <Label htmlFor="name">Full Name</Label>
+                <Input
+                  id="name"
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required={!isLogin}
+                />
+              </div>
+            )}
+            <div>
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <Label htmlFor="password">Password</Label>
+              <Input
+                id="password"
+                type="password"
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                required
+              />
+            </div>
+            {error && (
+              <Alert variant="destructive">
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? 'Please wait...' : (isLogin ? 'Sign In' : 'Create Account')}
+            </Button>
+          </form>
+          <div className="mt-4 text-center">
+            <Button
+              variant="link"
+              onClick={switchMode}
+              className="text-sm"
+            >
+              {isLogin ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default AuthPage
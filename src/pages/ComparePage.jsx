@@ -0,0 +1,357 @@
+import { useMemo } from 'react'
+import { Link, useOutletContext, useSearchParams } from 'react-router-dom'
+import { format, parseISO } from 'date-fns'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Checkbox } from '@/components/ui/checkbox.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx'
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu.jsx'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx'
+import { ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart.jsx'
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts'
+import { AlertTriangle, ArrowLeft, ChevronDown, GitCompare, Link2, Plus, X } from 'lucide-react'
+import DateRangePicker from '@/components/DateRangePicker.jsx'
+import { useFieldStats } from '@/hooks/use-field-stats'
+import { MAX_LOOKBACK_DAYS, presetRange } from '@/lib/analytics'
+import {
+  MAX_COMPARE_FIELDS,
+  MAX_COMPARE_WINDOWS,
+  alignedRows,
+  buildSeries,
+  comparisonDays,
+  comparisonParams,
+  parseComparison,
+  previousWindow,
+  stressedShare,
+} from '@/lib/comparison'
+import { STRESS_LEVELS, STRESS_META } from '@/lib/stress'
+
+// Later windows are told apart by their dashes when fields have the colours
+const WINDOW_DASHES = [undefined, '6 4', '2 4']
+
+function formatShare(value) {
+  return value === null ? '—' : `${value}%`
+}
+
+function ShareDifference({ value, baseline }) {
+  if (value === null || baseline === null) return <span className="text-gray-600">—</span>
+  const difference = Number((value - baseline).toFixed(1))
+  if (difference === 0) return <span className="text-gray-600">No change</span>
+  return (
+    <span className={difference > 0 ? 'text-red-600' : 'text-green-600'}>
+      {difference > 0 ? '+' : ''}
+      {difference} pts
+    </span>
+  )
+}
+
+function FieldPicker({ fields, selectedIds, onChange }) {
+  const selected = fields.filter((field) => selectedIds.includes(String(field.id)))
+  const full = selectedIds.length >= MAX_COMPARE_FIELDS
+
+  const toggleField = (id, checked) => {
+    onChange(checked ? [...selectedIds, id] : selectedIds.filter((selectedId) => selectedId !== id))
+  }
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" className="w-full justify-between font-normal">
+          <span className="truncate">
+            {selected.length === 0 ? 'Choose fields' : selected.map((field) => field.name).join(', ')}
+          </span>
+          <ChevronDown className="h-4 w-4 ml-2 shrink-0" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="p-0">
+        <div className="divide-y max-h-64 overflow-y-auto">
+          {fields.map((field) => {
+            const checked = selectedIds.includes(String(field.id))
+            return (
+              <label key={field.id} className="flex items-center space-x-3 p-2 text-sm">
+                <Checkbox
+                  checked={checked}
+                  disabled={!checked && full}
+                  onCheckedChange={(value) => toggleField(String(field.id), value === true)}
+                />
+                <span className="flex-1">{field.name}</span>
+                <span className="text-gray-600">{field.crop_type}</span>
+              </label>
+            )
+          })}
+        </div>
+        <p className="text-xs text-gray-600 p-2 border-t">Up to {MAX_COMPARE_FIELDS} fields</p>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+// Compare View
+// Each chosen field is compared in each chosen period, with periods aligned by
+// their first day so seasons line up. The whole selection is in the URL
+// (`?field=<id>&window=<from>..<to>`, both repeatable) so it can be shared.
+function ComparePage() {
+  const { fields, revision } = useOutletContext()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const selection = useMemo(() => parseComparison(searchParams), [searchParams])
+  const selectedFields = useMemo(
+    () => selection.fieldIds.map((id) => fields.find((f) => String(f.id) === id)).filter(Boolean),
+    [selection, fields]
+  )
+  const days = comparisonDays(selection.windows)
+  const { statsByField, loading, error } = useFieldStats(selectedFields.map((field) => field.id), days, revision)
+
+  const { unit, series } = useMemo(
+    () => buildSeries(selectedFields, selection.windows, statsByField || {}),
+    [selectedFields, selection, statsByField]
+  )
+  const colorBy = selectedFields.length > 1 ? 'field' : 'window'
+  const chartConfig = Object.fromEntries(
+    series.map((s) => {
+      const index = colorBy === 'field' ? selectedFields.indexOf(s.field) : s.windowIndex
+      return [s.key, { label: s.name, color: `var(--chart-${(index % 5) + 1})` }]
+    })
+  )
+  const stressedRows = useMemo(() => alignedRows(series, stressedShare), [series])
+  const volumeRows = useMemo(() => alignedRows(series, (bucket) => bucket.total), [series])
+  const baseline = series[0]?.metrics
+
+  const update = (next) => {
+    setSearchParams(comparisonParams({ ...selection, ...next }), { replace: true })
+  }
+
+  const updateWindow = (index, period) => {
+    update({ windows: selection.windows.map((w, i) => (i === index ? period : w)) })
+  }
+
+  const addWindow = (period) => {
+    update({ windows: [...selection.windows, period] })
+  }
+
+  const removeWindow = (index) => {
+    update({ windows: selection.windows.filter((_, i) => i !== index) })
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      toast.success('Link copied')
+    } catch {
+      toast.error('Could not copy the link')
+    }
+  }
+
+  const earliest = selection.windows.reduce((a, b) => (b.from < a.from ? b : a))
+  const latest = selection.windows.reduce((a, b) => (b.to > a.to ? b : a))
+  const canAddWindow = selection.windows.length < MAX_COMPARE_WINDOWS
+  const previousPeriod = previousWindow(earliest, 'period')
+  const lastYear = previousWindow(latest, 'year')
+
+  // A single period keeps its dates on the axis; aligned periods count from 1
+  const tickFormatter = (index) => {
+    if (selection.windows.length === 1 && series[0]?.buckets[index]) {
+      return format(parseISO(series[0].buckets[index].date), 'MMM d')
+    }
+    return `${unit === 'week' ? 'Week' : 'Day'} ${index + 1}`
+  }
+
+  const tooltipLabel = (_, payload) => payload[0] && tickFormatter(payload[0].payload.index)
+
+  const charts = [
+    {
+      title: 'Stressed Share',
+      description: `Share of moderate and severe images per ${unit}`,
+      rows: stressedRows,
+      yAxis: { domain: [0, 100], unit: '%', width: 40 },
+    },
+    {
+      title: 'Images',
+      description: `Images analyzed per ${unit}`,
+      rows: volumeRows,
+      yAxis: { allowDecimals: false, width: 32 },
+    },
+  ]
+
+  return (
+    <>
+      <Button variant="link" className="px-0" asChild>
+        <Link to="/analytics">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Analytics
+        </Link>
+      </Button>
+
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h2 className="text-2xl font-bold">Compare</h2>
+          <p className="text-sm text-gray-600">Compare fields with each other and with earlier periods</p>
+        </div>
+        <Button variant="outline" onClick={copyLink}>
+          <Link2 className="h-4 w-4 mr-2" />
+          Copy Link
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <Label>Fields</Label>
+            <FieldPicker fields={fields} selectedIds={selectedFields.map((f) => String(f.id))} onChange={(fieldIds) => update({ fieldIds })} />
+          </div>
+          <div className="space-y-2">
+            <Label>Periods</Label>
+            <div className="flex flex-wrap items-center gap-2">
+              {selection.windows.map((period, index) => (
+                <div key={index} className="flex items-center">
+                  <DateRangePicker
+                    value={period}
+                    onChange={(next) => updateWindow(index, next)}
+                    lookbackDays={MAX_LOOKBACK_DAYS}
+                  />
+                  {selection.windows.length > 1 && (
+                    <Button variant="ghost" size="icon" onClick={() => removeWindow(index)} title="Remove period">
+                      <X className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              ))}
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" disabled={!canAddWindow}>
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add Period
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  <DropdownMenuItem disabled={!previousPeriod} onSelect={() => addWindow(previousPeriod)}>
+                    Previous period
+                  </DropdownMenuItem>
+                  <DropdownMenuItem disabled={!lastYear} onSelect={() => addWindow(lastYear)}>
+                    Same period last year
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onSelect={() => addWindow(presetRange(30))}>Last 30 days</DropdownMenuItem>
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {series.length === 0 ? (
+        <Card>
+          <CardContent>
+            <div className="text-center py-12">
+              <GitCompare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Choose fields to compare</h3>
+              <p className="text-gray-600">
+                Pick one field to compare periods, or several to see how they do against each other
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {charts.map((chart) => (
+              <Card key={chart.title}>
+                <CardHeader>
+                  <CardTitle>{chart.title}</CardTitle>
+                  <CardDescription>{loading ? 'Loading...' : chart.description}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <ChartContainer config={chartConfig} className="h-64 w-full aspect-auto">
+                    <LineChart data={chart.rows}>
+                      <CartesianGrid vertical={false} />
+                      <XAxis dataKey="index" tickFormatter={tickFormatter} tickLine={false} axisLine={false} minTickGap={24} />
+                      <YAxis tickLine={false} axisLine={false} {...chart.yAxis} />
+                      <ChartTooltip content={<ChartTooltipContent labelFormatter={tooltipLabel} />} />
+                      <ChartLegend content={<ChartLegendContent />} />
+                      {series.map((s) => (
+                        <Line
+                          key={s.key}
+                          dataKey={s.key}
+                          type="monotone"
+                          stroke={`var(--color-${s.key})`}
+                          strokeDasharray={colorBy === 'field' ? WINDOW_DASHES[s.windowIndex] : undefined}
+                          strokeWidth={2}
+                          dot={false}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  </ChartContainer>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Health Metrics</CardTitle>
+              <CardDescription>Differences are against the first row</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Field and period</TableHead>
+                    <TableHead className="text-right">Images</TableHead>
+                    {STRESS_LEVELS.map((level) => (
+                      <TableHead key={level} className="text-right">{STRESS_META[level].label}</TableHead>
+                    ))}
+                    <TableHead className="text-right">Stressed</TableHead>
+                    <TableHead className="text-right">Difference</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {series.map((s, index) => (
+                    <TableRow key={s.key}>
+                      <TableCell>
+                        <span className="flex items-center">
+                          <span
+                            className="h-2.5 w-2.5 rounded-sm mr-2 shrink-0"
+                            style={{ backgroundColor: chartConfig[s.key].color }}
+                          />
+                          <Link to={`/fields/${s.field.id}`} className="hover:underline">{s.name}</Link>
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-right">{s.metrics.total}</TableCell>
+                      {STRESS_LEVELS.map((level) => (
+                        <TableCell key={level} className="text-right">{formatShare(s.metrics[level])}</TableCell>
+                      ))}
+                      <TableCell className="text-right font-medium">{formatShare(s.metrics.stressed)}</TableCell>
+                      <TableCell className="text-right">
+                        {index === 0 ? (
+                          <span className="text-gray-600">Baseline</span>
+                        ) : (
+                          <ShareDifference value={s.metrics.stressed} baseline={baseline.stressed} />
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </>
+  )
+}
+
+export default ComparePage
@@ -0,0 +1,196 @@
+import { useState, useEffect, useRef } from 'react'
+import { Outlet, useLocation, useNavigate } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx'
+import { Leaf, User, LogOut, CloudOff, Settings } from 'lucide-react'
+import { toast } from 'sonner'
+import { useUploadQueue } from '@/hooks/use-upload-queue'
+import { useOnline } from '@/hooks/use-online'
+import { BasemapContext, useBasemapState } from '@/hooks/use-basemaps'
+import { useEventChannel } from '@/hooks/use-event-channel'
+import { api } from '@/lib/api'
+import { STRESS_META, formatConfidence } from '@/lib/stress'
+import { buildFormData } from '@/lib/upload'
+
+const TABS = [
+  { value: 'overview', label: 'Overview' },
+  { value: 'fields', label: 'Fields' },
+  { value: 'upload', label: 'Upload Image' },
+  { value: 'analytics', label: 'Analytics' },
+]
+
+// How often shared data is reloaded while the live event channel is down
+const POLL_INTERVAL = 60 * 1000
+
+// Events often come in bursts, e.g. a batch of analyses finishing together
+const REFRESH_DELAY = 500
+
+// Dashboard Component
+// Loads the data shared by every tab and hands it to the routed page through
+// the outlet context. The active tab is derived from the first path segment.
+// The upload queue lives here so a batch keeps going while other tabs are open,
+// and the basemap choice so every map shows the same one.
+// Live events from the backend update the data in place; when the channel is
+// down it is reloaded on a timer instead.
+function DashboardLayout({ user, onLogout }) {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [fields, setFields] = useState([])
+  const [stats, setStats] = useState(null)
+  // Bumped on every reload, so pages holding stats of their own know to
+  // fetch them again
+  const [revision, setRevision] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const online = useOnline()
+  const basemaps = useBasemapState(user.id)
+  const uploadQueue = useUploadQueue({
+    userId: user.id,
+    upload: (item, options) => api.uploadImage(buildFormData(item), options),
+    onIdle: () => loadData(),
+  })
+  const refreshTimer = useRef(null)
+  const pendingUploads = uploadQueue.items.filter((item) => ['queued', 'uploading', 'waiting'].includes(item.status)).length
+  const waitingUploads = uploadQueue.items.filter((item) => item.status === 'waiting').length
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      const [fieldsData, statsData] = await Promise.all([
+        api.getFields(),
+        api.getOverallStats()
+      ])
+      setFields(fieldsData)
+      setStats(statsData)
+      setRevision((current) => current + 1)
+    } catch (err) {
+      console.error('Error loading data:', err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer.current)
+    refreshTimer.current = setTimeout(loadData, REFRESH_DELAY)
+  }
+
+  // Field and stats changes are applied quietly, as they are usually the
+  // user's own edits; finished analyses get a toast since they arrive later
+  const handleEvent = ({ type, data }) => {
+    switch (type) {
+      case 'analysis.completed': {
+        const { image } = data
+        const queued = uploadQueue.items.find((item) => item.result?.image?.id === image.id)
+        if (queued) uploadQueue.update(queued.id, { result: { ...queued.result, image } })
+        const field = fields.find((f) => f.id === image.field_id)
+        const meta = STRESS_META[image.analysis.stress_level]
+        toast(`Analysis ready${field ? ` for ${field.name}` : ''}`, {
+          description: meta
+            ? `${meta.label} · ${formatConfidence(image.analysis.confidence)} confidence`
+            : image.filename,
+          action: field && { label: 'View', onClick: () => navigate(`/fields/${field.id}`) },
+        })
+        scheduleRefresh()
+        break
+      }
+      case 'field.created':
+        setFields((current) => (current.some((f) => f.id === data.field.id) ? current : [...current, data.field]))
+        break
+      case 'field.updated':
+        setFields((current) => current.map((f) => (f.id === data.field.id ? data.field : f)))
+        break
+      case 'field.deleted':
+        setFields((current) => current.filter((f) => f.id !== data.field_id))
+        break
+      case 'stats.updated':
+        scheduleRefresh()
+        break
+    }
+  }
+
+  const eventStatus = useEventChannel(handleEvent)
+
+  useEffect(() => {
+    if (eventStatus === 'open') return
+    const timer = setInterval(() => {
+      if (navigator.onLine) loadData()
+    }, POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [eventStatus])
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), [])
+
+  const activeTab = location.pathname.split('/')[1]
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <Leaf className="h-8 w-8 text-green-600 mx-auto mb-4 animate-spin" />
+          <p>Loading your dashboard...</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <BasemapContext.Provider value={basemaps}>
+      <div className="min-h-screen bg-gray-50">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex justify-between items-center h-16">
+              <div className="flex items-center">
+                <Leaf className="h-8 w-8 text-green-600 mr-2" />
+                <h1 className="text-xl font-bold text-green-800">CropHealth AI+</h1>
+              </div>
+              <div className="flex items-center space-x-4">
+                {(!online || waitingUploads > 0) && (
+                  <Button variant="ghost" size="sm" className="text-amber-700" onClick={() => navigate('/upload')}>
+                    <CloudOff className="h-4 w-4 mr-1" />
+                    {online ? 'Syncing' : 'Offline'}
+                    {waitingUploads > 0 && ` · ${waitingUploads} pending`}
+                  </Button>
+                )}
+                <div className="flex items-center text-sm text-gray-600">
+                  <User className="h-4 w-4 mr-1" />
+                  {user.name}
+                </div>
+                <Button variant="ghost" size="sm" onClick={() => navigate('/settings')} title="Settings">
+                  <Settings className="h-4 w-4" />
+                </Button>
+                <Button variant="outline" size="sm" onClick={onLogout}>
+                  <LogOut className="h-4 w-4 mr-1" />
+                  Sign Out
+                </Button>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        {/* Main Content */}
+        <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <Tabs value={activeTab} onValueChange={(value) => navigate(`/${value}`)} className="space-y-6">
+            <TabsList className="grid w-full grid-cols-4">
+              {TABS.map((tab) => (
+                <TabsTrigger key={tab.value} value={tab.value}>
+                  {tab.label}
+                  {tab.value === 'upload' && pendingUploads > 0 && ` (${pendingUploads})`}
+                </TabsTrigger>
+              ))}
+            </TabsList>
+
+            <div className="space-y-6">
+              <Outlet context={{ user, fields, stats, revision, reload: loadData, uploadQueue }} />
+            </div>
+          </Tabs>
+        </main>
+      </div>
+    </BasemapContext.Provider>
+  )
+}
+
+export default DashboardLayout
@@ -0,0 +1,271 @@
+import { useState, useMemo } from 'react'
+import { Link, useNavigate, useOutletContext, useParams, useSearchParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
+import { ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart.jsx'
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts'
+import { ArrowLeft, MapPin, Upload, Calendar, Camera, AlertTriangle, Leaf, Download, CheckCircle, GitCompare } from 'lucide-react'
+import FieldMap from '@/components/FieldMap.jsx'
+import StressOverlay from '@/components/StressOverlay.jsx'
+import OfflineMapDialog from '@/components/OfflineMapDialog.jsx'
+import StressBadge from '@/components/StressBadge.jsx'
+import NotFoundPage from '@/pages/NotFoundPage.jsx'
+import { useFieldStats } from '@/hooks/use-field-stats'
+import { presetRange } from '@/lib/analytics'
+import { comparisonParams, previousWindow } from '@/lib/comparison'
+import { STRESS_LEVELS, STRESS_META, STRESS_CHART_CONFIG, formatConfidence } from '@/lib/stress'
+import { TILE_PACKS_SUPPORTED } from '@/lib/tiles'
+
+const PERIODS = ['7', '30', '90']
+
+function formatDay(date) {
+  return new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
+
+// Uploaded images grouped by calendar day, newest first
+function groupByDay(images) {
+  const groups = new Map()
+  for (const image of images) {
+    const day = new Date(image.uploaded_at).toDateString()
+    if (!groups.has(day)) groups.set(day, [])
+    groups.get(day).push(image)
+  }
+  return [...groups.entries()]
+}
+
+function ImageTimeline({ images }) {
+  if (images.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <Camera className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-600">No images uploaded in this period</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {groupByDay(images).map(([day, dayImages]) => (
+        <div key={day}>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">
+            {new Date(day).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}
+          </h4>
+          <div className="space-y-2 border-l-2 border-green-200 pl-4">
+            {dayImages.map((image) => (
+              <div key={image.id} className="flex items-center space-x-4 p-2 border rounded-lg bg-white">
+                {image.image_url && (
+                  <img src={image.image_url} alt={image.filename || 'Crop image'} className="h-14 w-14 rounded object-cover" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <StressBadge level={image.analysis?.stress_level} />
+                    <span className="text-sm text-gray-600">
+                      {formatConfidence(image.analysis?.confidence)} confidence
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1 truncate">
+                    {new Date(image.uploaded_at).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+                    {' · '}
+                    {Number(image.latitude).toFixed(5)}, {Number(image.longitude).toFixed(5)}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Field Detail
+// `?days=` selects the stats window so a given view can be linked.
+function FieldDetailPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const { fields, revision } = useOutletContext()
+  const field = fields.find((f) => String(f.id) === id)
+  const mapFields = useMemo(() => (field ? [field] : []), [field])
+  const days = PERIODS.includes(searchParams.get('days')) ? searchParams.get('days') : '30'
+  const [offlineMapOpen, setOfflineMapOpen] = useState(false)
+  const [savedPack, setSavedPack] = useState(null)
+  const { statsByField, loading, error } = useFieldStats(field ? [field.id] : [], Number(days), revision)
+  const fieldStats = field && statsByField?.[field.id]
+
+  if (!field) {
+    return <NotFoundPage message="This field does not exist or has been removed." />
+  }
+
+  const distribution = fieldStats?.summary?.stress_distribution
+  const images = fieldStats?.images || []
+
+  // The previous period comes first so differences read as change since then
+  const compare = () => {
+    const current = presetRange(Number(days))
+    const windows = [previousWindow(current, 'period'), current].filter(Boolean)
+    navigate(`/analytics/compare?${comparisonParams({ fieldIds: [field.id], windows })}`)
+  }
+
+  return (
+    <>
+      <Button variant="link" className="px-0" asChild>
+        <Link to="/fields">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          All Fields
+        </Link>
+      </Button>
+
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center">
+            <MapPin className="h-6 w-6 mr-2 text-green-600" />
+            {field.name}
+          </h2>
+          <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
+            <span className="flex items-center">
+              <Leaf className="h-4 w-4 mr-1" />
+              {field.crop_type || 'No crop type specified'}
+            </span>
+            <span className="flex items-center">
+              <Calendar className="h-4 w-4 mr-1" />
+              Created {new Date(field.created_at).toLocaleDateString()}
+            </span>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <ToggleGroup
+            type="single"
+            variant="outline"
+            value={days}
+            onValueChange={(value) => value && setSearchParams({ days: value }, { replace: true })}
+          >
+            {PERIODS.map((period) => (
+              <ToggleGroupItem key={period} value={period} className="px-3">
+                {period}d
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+          {TILE_PACKS_SUPPORTED && (
+            <Button variant="outline" onClick={() => setOfflineMapOpen(true)} title="Download map for offline use">
+              <Download className="h-4 w-4 mr-2" />
+              Offline Map
+            </Button>
+          )}
+          <Button variant="outline" onClick={compare} title="Compare with the previous period">
+            <GitCompare className="h-4 w-4 mr-2" />
+            Compare
+          </Button>
+          <Button onClick={() => navigate(`/upload?field=${field.id}`)}>
+            <Upload className="h-4 w-4 mr-2" />
+            Upload
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {savedPack && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>
+            <span>
+              Saved {savedPack.tileCount.toLocaleString()} map tiles for offline use.{' '}
+              <Link to="/settings" className="underline">Manage offline maps</Link>
+            </span>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Field Map</CardTitle>
+            <CardDescription>Images analyzed in the last {days} days. Click a point to see its result.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <FieldMap field={field}>
+              <StressOverlay images={images} fields={mapFields} />
+            </FieldMap>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle>Last {days} Days</CardTitle>
+            <CardDescription>
+              {loading ? 'Loading...' : `${fieldStats?.summary?.total_images || 0} images analyzed`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {STRESS_LEVELS.map((level) => (
+              <div key={level}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span>{STRESS_META[level].label}</span>
+                  <span>{distribution ? `${Math.round(distribution[level] || 0)}%` : 'N/A'}</span>
+                </div>
+                <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                  <div
+                    className="h-full rounded-full"
+                    style={{ width: `${distribution?.[level] || 0}%`, backgroundColor: STRESS_META[level].color }}
+                  />
+                </div>
+              </div>
+            ))}
+            <div className="flex justify-between text-sm">
+              <span>Average confidence:</span>
+              <span>{formatConfidence(fieldStats?.summary?.average_confidence)}</span>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Health Trend</CardTitle>
+          <CardDescription>Images per day by stress class</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ChartContainer config={STRESS_CHART_CONFIG} className="h-64 w-full aspect-auto">
+            <BarChart data={fieldStats?.daily_stats || []}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="date" tickFormatter={formatDay} tickLine={false} axisLine={false} minTickGap={24} />
+              <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+              <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => formatDay(payload[0]?.payload.date)} />} />
+              <ChartLegend content={<ChartLegendContent />} />
+              {STRESS_LEVELS.map((level) => (
+                <Bar key={level} dataKey={level} stackId="stress" fill={`var(--color-${level})`} />
+              ))}
+            </BarChart>
+          </ChartContainer>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Image Timeline</CardTitle>
+          <CardDescription>Uploaded images and their analysis results</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? <p className="text-gray-600">Loading...</p> : <ImageTimeline images={images} />}
+        </CardContent>
+      </Card>
+
+      {offlineMapOpen && (
+        <OfflineMapDialog
+          open={offlineMapOpen}
+          onOpenChange={setOfflineMapOpen}
+          field={field}
+          onSaved={setSavedPack}
+        />
+      )}
+    </>
+  )
+}
+
+export default FieldDetailPage
@@ -0,0 +1,270 @@
+import { useMemo, useState } from 'react'
+import { useLocation, useNavigate, useOutletContext } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Separator } from '@/components/ui/separator.jsx'
+import { MapPin, Upload, AlertTriangle, CheckCircle, Plus, Eye, FileUp, Download, Pencil, Trash2 } from 'lucide-react'
+import DeleteFieldDialog from '@/components/DeleteFieldDialog.jsx'
+import FitBounds from '@/components/FitBounds.jsx'
+import FieldImportDialog from '@/components/FieldImportDialog.jsx'
+import FieldExportDialog from '@/components/FieldExportDialog.jsx'
+import PolygonEditor from '@/components/PolygonEditor.jsx'
+import { useHistory } from '@/hooks/use-history'
+import { api } from '@/lib/api'
+import { boundsOf, fieldLatLngs, validatePolygon, geodesicArea, perimeter, toGeoJSONPolygon, formatArea, formatLength } from '@/lib/geometry'
+
+// Where the polygon editor opens before any field exists (Los Angeles)
+const DEFAULT_MAP_CENTER = [34.0522, -118.2437]
+
+// Fields Tab
+function FieldsPage() {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { fields, reload } = useOutletContext()
+  const [showAddFieldForm, setShowAddFieldForm] = useState(Boolean(location.state?.addField))
+  const [newFieldData, setNewFieldData] = useState({
+    name: '',
+    crop_type: '',
+    polygon_geometry: '' // Will store GeoJSON string
+  })
+  const [addFieldLoading, setAddFieldLoading] = useState(false)
+  const [addFieldError, setAddFieldError] = useState('')
+  const [addFieldSuccess, setAddFieldSuccess] = useState('')
+  const [editingField, setEditingField] = useState(null)
+  const [deletingField, setDeletingField] = useState(null)
+  const [showImportDialog, setShowImportDialog] = useState(false)
+  const [showExportDialog, setShowExportDialog] = useState(false)
+
+  // State for map interaction
+  // New fields start out around the existing ones
+  const mapCenter = useMemo(() => {
+    const bounds = boundsOf(fields.flatMap((field) => fieldLatLngs(field)))
+    return bounds ? [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2] : DEFAULT_MAP_CENTER
+  }, [fields])
+  const polygonHistory = useHistory([])
+  const polygonPoints = polygonHistory.present
+  const geometryErrors = useMemo(() => validatePolygon(polygonPoints), [polygonPoints])
+  const editingBounds = useMemo(() => (editingField ? fieldLatLngs(editingField) : []), [editingField])
+
+  const openAddForm = () => {
+    setEditingField(null)
+    setNewFieldData({ name: '', crop_type: '', polygon_geometry: '' })
+    polygonHistory.reset([])
+    setAddFieldError('')
+    setShowAddFieldForm(true)
+  }
+
+  // Reopen the form and polygon editor with a field's stored values
+  const openEditForm = (field) => {
+    setEditingField(field)
+    setNewFieldData({ name: field.name, crop_type: field.crop_type || '', polygon_geometry: '' })
+    polygonHistory.reset(fieldLatLngs(field))
+    setAddFieldError('')
+    setAddFieldSuccess('')
+    setShowAddFieldForm(true)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  const closeForm = () => {
+    setShowAddFieldForm(false)
+    setEditingField(null)
+    polygonHistory.reset([])
+  }
+
+  const handleAddField = async (e) => {
+    e.preventDefault()
+    setAddFieldLoading(true)
+    setAddFieldError('')
+    setAddFieldSuccess('')
+
+    try {
+      if (geometryErrors.length > 0) {
+        setAddFieldError(geometryErrors.join(' '))
+        return
+      }
+      // Convert polygonPoints to a closed, counter-clockwise GeoJSON ring
+      const geoJsonPolygon = toGeoJSONPolygon(polygonPoints)
+      const fieldDataToSend = {
+        ...newFieldData,
+        polygon_geometry: JSON.stringify(geoJsonPolygon)
+      };
+
+      if (editingField) {
+        await api.updateField(editingField.id, fieldDataToSend)
+        setAddFieldSuccess('Field updated successfully!')
+      } else {
+        await api.createField(fieldDataToSend)
+        setAddFieldSuccess('Field added successfully!')
+      }
+      setNewFieldData({ name: '', crop_type: '', polygon_geometry: '' })
+      closeForm() // Clear drawn polygon
+      reload() // Reload fields after adding new one
+    } catch (err) {
+      setAddFieldError(err.response?.data?.error || (editingField ? 'Failed to update field' : 'Failed to add field'))
+    } finally {
+      setAddFieldLoading(false)
+    }
+  }
+
+  return (
+    <>
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">My Fields</h2>
+        <div className="flex space-x-2">
+          <Button variant="outline" onClick={() => setShowExportDialog(true)} disabled={fields.length === 0}>
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </Button>
+          <Button variant="outline" onClick={() => setShowImportDialog(true)}>
+            <FileUp className="h-4 w-4 mr-2" />
+            Import
+          </Button>
+          <Button onClick={openAddForm}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add New Field
+          </Button>
+        </div>
+      </div>
+
+      <FieldImportDialog open={showImportDialog} onOpenChange={setShowImportDialog} onImported={reload} />
+      {showExportDialog && (
+        <FieldExportDialog open onOpenChange={setShowExportDialog} fields={fields} />
+      )}
+
+      {deletingField && (
+        <DeleteFieldDialog
+          key={deletingField.id}
+          field={deletingField}
+          onOpenChange={(open) => !open && setDeletingField(null)}
+          onDeleted={(field) => {
+            if (editingField?.id === field.id) closeForm()
+            setAddFieldSuccess(`${field.name} was deleted.`)
+            reload()
+          }}
+        />
+      )}
+
+      {addFieldSuccess && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{addFieldSuccess}</AlertDescription>
+        </Alert>
+      )}
+
+      {showAddFieldForm && (
+        <Card className="mt-4" key={editingField?.id ?? 'new'}>
+          <CardHeader>
+            <CardTitle>{editingField ? `Edit ${editingField.name}` : 'Add New Field'}</CardTitle>
+            <CardDescription>
+              {editingField ? 'Change the field details or adjust its boundary on the map.' : 'Enter field details and draw its polygon on the map.'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleAddField} className="space-y-4">
+              <div>
+                <Label htmlFor="fieldName">Field Name</Label>
+                <Input
+                  id="fieldName"
+                  type="text"
+                  value={newFieldData.name}
+                  onChange={(e) => setNewFieldData({ ...newFieldData, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="cropType">Crop Type</Label>
+                <Input
+                  id="cropType"
+                  type="text"
+                  value={newFieldData.crop_type}
+                  onChange={(e) => setNewFieldData({ ...newFieldData, crop_type: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <Label className="mb-2">Draw Field Polygon (Click on map to add points)</Label>
+                <PolygonEditor history={polygonHistory} center={mapCenter} className="h-96">
+                  {editingBounds.length > 0 && <FitBounds positions={editingBounds} />}
+                </PolygonEditor>
+                {polygonPoints.length >= 3 && (
+                  <div className="mt-2 space-y-1 text-sm">
+                    <div className="flex space-x-6">
+                      <span>Area: <strong>{formatArea(geodesicArea(polygonPoints))}</strong></span>
+                      <span>Perimeter: <strong>{formatLength(perimeter(polygonPoints))}</strong></span>
+                    </div>
+                    {geometryErrors.map((message) => (
+                      <p key={message} className="flex items-center text-amber-700">
+                        <AlertTriangle className="h-4 w-4 mr-1 shrink-0" />
+                        {message}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {addFieldError && (
+                <Alert variant="destructive">
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>{addFieldError}</AlertDescription>
+                </Alert>
+              )}
+              <div className="flex space-x-2">
+                <Button type="button" variant="outline" onClick={closeForm}>
+                  Cancel
+                </Button>
+                <Button type="submit" className="flex-1" disabled={addFieldLoading}>
+                  {editingField
+                    ? (addFieldLoading ? 'Saving Changes...' : 'Save Changes')
+                    : (addFieldLoading ? 'Adding Field...' : 'Submit Field')}
+                </Button>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {fields.map((field) => (
+          <Card key={field.id}>
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <MapPin className="h-5 w-5 mr-2 text-green-600" />
+                {field.name}
+              </CardTitle>
+              <CardDescription>{field.crop_type || 'No crop type specified'}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span>Created:</span>
+                  <span>{new Date(field.created_at).toLocaleDateString()}</span>
+                </div>
+                <Separator />
+                <div className="flex space-x-2">
+                  <Button variant="outline" size="sm" className="flex-1" onClick={() => navigate(`/fields/${field.id}`)}>
+                    <Eye className="h-4 w-4 mr-1" />
+                    View
+                  </Button>
+                  <Button variant="outline" size="sm" className="flex-1" onClick={() => navigate(`/upload?field=${field.id}`)}>
+                    <Upload className="h-4 w-4 mr-1" />
+                    Upload
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => openEditForm(field)} aria-label={`Edit ${field.name}`}>
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => setDeletingField(field)} aria-label={`Delete ${field.name}`}>
+                    <Trash2 className="h-4 w-4 text-red-600" />
+                  </Button>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </>
+  )
+}
+
+export default FieldsPage
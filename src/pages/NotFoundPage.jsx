@@ -0,0 +1,21 @@
+import { Link } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Leaf } from 'lucide-react'
+
+// 404 page, shown for unknown URLs and for records that no longer exist
+function NotFoundPage({ message = "The page you're looking for doesn't exist." }) {
+  return (
+    <div className="flex items-center justify-center py-24">
+      <div className="text-center">
+        <Leaf className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Page not found</h2>
+        <p className="text-gray-600 mb-6">{message}</p>
+        <Button asChild>
+          <Link to="/overview">Back to Dashboard</Link>
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default NotFoundPage
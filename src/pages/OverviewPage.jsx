@@ -0,0 +1,170 @@
+import { useMemo, useState } from 'react'
+import { useNavigate, useOutletContext, useSearchParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group.jsx'
+import { MapPin, Camera, BarChart3, Plus, Eye } from 'lucide-react'
+import FieldsOverviewMap from '@/components/FieldsOverviewMap.jsx'
+import HealthStatusBadge from '@/components/HealthStatusBadge.jsx'
+import { useFieldStats } from '@/hooks/use-field-stats'
+import { HEALTH_STATUSES, HEALTH_STATUS_META, RECENT_DAYS, getHealthThresholds, healthScore, healthStatus } from '@/lib/health'
+
+const ALL_STATUSES = 'all'
+
+// Most urgent status first, then the least healthy share, then by name
+function compareFields(a, b) {
+  return HEALTH_STATUSES.indexOf(a.status) - HEALTH_STATUSES.indexOf(b.status) ||
+    (a.score ?? 100) - (b.score ?? 100) ||
+    a.field.name.localeCompare(b.field.name)
+}
+
+// Overview Tab
+// The farm map and field statuses need each field's own recent stats, which
+// are loaded here; a field that fails to load shows as having no recent data.
+// `?status=` filters the field list so a view of problem fields can be linked.
+function OverviewPage() {
+  const navigate = useNavigate()
+  const { fields, stats, revision } = useOutletContext()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [thresholds] = useState(getHealthThresholds)
+  const statusFilter = HEALTH_STATUSES.includes(searchParams.get('status')) ? searchParams.get('status') : ALL_STATUSES
+  const { statsByField: fieldStats } = useFieldStats(fields.map((field) => field.id), RECENT_DAYS, revision)
+
+  const rows = useMemo(
+    () =>
+      fields
+        .map((field) => {
+          const summary = fieldStats?.[field.id]?.summary
+          return {
+            field,
+            score: healthScore(summary),
+            status: fieldStats ? healthStatus(summary, field.crop_type, thresholds) : null,
+          }
+        })
+        .sort(compareFields),
+    [fields, fieldStats, thresholds]
+  )
+  const statusCounts = Object.fromEntries(
+    HEALTH_STATUSES.map((status) => [status, rows.filter((row) => row.status === status).length])
+  )
+  const visibleRows = statusFilter === ALL_STATUSES ? rows : rows.filter((row) => row.status === statusFilter)
+
+  const handleFilterChange = (value) => {
+    if (!value) return
+    setSearchParams(value === ALL_STATUSES ? {} : { status: value }, { replace: true })
+  }
+
+  return (
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Total Fields</CardTitle>
+            <MapPin className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{stats?.summary?.total_fields || 0}</div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Images Analyzed</CardTitle>
+            <Camera className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{stats?.summary?.total_images || 0}</div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Health Score</CardTitle>
+            <BarChart3 className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">
+              {stats?.summary?.stress_distribution?.healthy ?
+                Math.round(stats.summary.stress_distribution.healthy) + '%' : 'N/A'}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {fields.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Farm Map</CardTitle>
+            <CardDescription>
+              Fields colored by the share of healthy images in the last {RECENT_DAYS} days. Hover for details, click to open.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <FieldsOverviewMap fields={fields} fieldStats={fieldStats || {}} days={RECENT_DAYS} thresholds={thresholds} />
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Recent Activity */}
+      <Card>
+        <CardHeader className="flex flex-wrap items-start justify-between gap-4 space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle>Field Status Overview</CardTitle>
+            <CardDescription>
+              Health status from the last {RECENT_DAYS} days of results, fields needing attention first
+            </CardDescription>
+          </div>
+          {fields.length > 0 && (
+            <ToggleGroup type="single" variant="outline" size="sm" value={statusFilter} onValueChange={handleFilterChange}>
+              <ToggleGroupItem value={ALL_STATUSES} className="px-3">
+                All ({rows.length})
+              </ToggleGroupItem>
+              {HEALTH_STATUSES.map((status) => (
+                <ToggleGroupItem key={status} value={status} className="px-3">
+                  {HEALTH_STATUS_META[status].label} ({fieldStats ? statusCounts[status] : '–'})
+                </ToggleGroupItem>
+              ))}
+            </ToggleGroup>
+          )}
+        </CardHeader>
+        <CardContent>
+          {fields.length === 0 ? (
+            <div className="text-center py-8">
+              <MapPin className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No fields yet</h3>
+              <p className="text-gray-600 mb-4">Create your first field to start monitoring crop health</p>
+              <Button onClick={() => navigate('/fields', { state: { addField: true } })}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Field
+              </Button>
+            </div>
+          ) : visibleRows.length === 0 ? (
+            <p className="text-center text-gray-600 py-8">No fields with this status</p>
+          ) : (
+            <div className="space-y-4">
+              {visibleRows.map(({ field, score, status }) => (
+                <div key={field.id} className="flex items-center justify-between p-4 border rounded-lg">
+                  <div>
+                    <h4 className="font-medium">{field.name}</h4>
+                    <p className="text-sm text-gray-600">
+                      {field.crop_type || 'No crop type specified'}
+                      {score !== null && ` · ${Math.round(score)}% healthy`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {status ? <HealthStatusBadge status={status} /> : <Badge variant="outline">Loading...</Badge>}
+                    <Button variant="outline" size="sm" onClick={() => navigate(`/fields/${field.id}`)}>
+                      <Eye className="h-4 w-4 mr-1" />
+                      View
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </>
+  )
+}
+
+export default OverviewPage
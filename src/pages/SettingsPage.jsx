@@ -0,0 +1,255 @@
+import { useEffect, useState } from 'react'
+import { Link, useOutletContext } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog.jsx'
+import { AlertTriangle, Layers, Map as MapIcon, Plus, Trash2 } from 'lucide-react'
+import { Badge } from '@/components/ui/badge.jsx'
+import OfflineMapDialog from '@/components/OfflineMapDialog.jsx'
+import BasemapSourceDialog from '@/components/BasemapSourceDialog.jsx'
+import UploadSettings from '@/components/UploadSettings.jsx'
+import HealthSettings from '@/components/HealthSettings.jsx'
+import { useBasemaps } from '@/hooks/use-basemaps'
+import { BASEMAP_TYPES, canManageBasemaps, supportsOffline } from '@/lib/basemaps'
+import { formatBytes } from '@/lib/format'
+import { TILE_PACKS_SUPPORTED, deleteTilePack, listTilePacks } from '@/lib/tiles'
+
+// Settings
+// Map layers available on every map, offline map packs saved on this device
+// with the storage they use, how photos are shrunk before upload and when
+// fields count as stressed.
+function SettingsPage() {
+  const { user, fields } = useOutletContext()
+  const { basemaps, active: activeBasemap, addCustom, removeCustom } = useBasemaps()
+  const [newBasemapOpen, setNewBasemapOpen] = useState(false)
+  const [packs, setPacks] = useState(() => listTilePacks())
+  const [storage, setStorage] = useState(null)
+  const [newPackOpen, setNewPackOpen] = useState(false)
+  const [packToDelete, setPackToDelete] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+  const [error, setError] = useState('')
+
+  const refreshStorage = () => {
+    navigator.storage?.estimate?.()
+      .then(setStorage)
+      .catch(() => {})
+  }
+
+  useEffect(() => {
+    refreshStorage()
+  }, [])
+
+  const handleSaved = () => {
+    setPacks(listTilePacks())
+    refreshStorage()
+  }
+
+  const handleDelete = async (e) => {
+    e.preventDefault()
+    setDeleting(true)
+    setError('')
+    try {
+      await deleteTilePack(packToDelete.id)
+      setPacks(listTilePacks())
+      refreshStorage()
+      setPackToDelete(null)
+    } catch (err) {
+      setError(err.message || 'Failed to delete offline map')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  const customBasemaps = basemaps.filter((basemap) => basemap.custom)
+
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-start gap-4">
+            <div>
+              <CardTitle>Map Layers</CardTitle>
+              <CardDescription>
+                Choose the layer with the button in the corner of any map. Your choice is remembered.
+              </CardDescription>
+            </div>
+            {canManageBasemaps(user) && (
+              <Button onClick={() => setNewBasemapOpen(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Layer
+              </Button>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="border rounded-md divide-y">
+            {basemaps.map((basemap) => (
+              <div key={basemap.id} className="flex items-center justify-between gap-4 p-3">
+                <div className="min-w-0">
+                  <h4 className="font-medium truncate flex items-center gap-2">
+                    <Layers className="h-4 w-4 text-gray-500" />
+                    {basemap.name}
+                    {basemap.id === activeBasemap.id && <Badge variant="secondary">In use</Badge>}
+                  </h4>
+                  <p className="text-sm text-gray-600 truncate">
+                    {basemap.custom
+                      ? `${BASEMAP_TYPES.find((type) => type.value === basemap.type).label}${supportsOffline(basemap) ? ' · Offline' : ''} · ${basemap.url}`
+                      : 'Built in'}
+                  </p>
+                </div>
+                {basemap.custom && canManageBasemaps(user) && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700"
+                    onClick={() => removeCustom(basemap.id)}
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    Remove
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+          {customBasemaps.length === 0 && canManageBasemaps(user) && (
+            <p className="text-sm text-gray-500 mt-3">
+              Add your own XYZ, TMS or WMS source, such as drone imagery or a regional aerial survey.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-start gap-4">
+            <div>
+              <CardTitle>Offline Maps</CardTitle>
+              <CardDescription>
+                Map tiles saved on this device are shown when there is no connection.
+                {!basemaps.some(supportsOffline) && ' The built-in layers cannot be saved, so add a map layer that allows offline use first.'}
+              </CardDescription>
+            </div>
+            {TILE_PACKS_SUPPORTED && (
+              <Button onClick={() => setNewPackOpen(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                New Offline Area
+              </Button>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {!TILE_PACKS_SUPPORTED && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>
+                Offline maps need a secure (HTTPS) connection and a browser with Cache Storage.
+              </AlertDescription>
+            </Alert>
+          )}
+          {error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          {storage && (
+            <p className="text-sm text-gray-600">
+              This app is using {formatBytes(storage.usage)} of {formatBytes(storage.quota)} available storage.
+            </p>
+          )}
+          {packs.length === 0 ? (
+            <div className="text-center py-8">
+              <MapIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No offline maps saved yet</p>
+              <p className="text-sm text-gray-500">Use Offline Map on a field page, or draw an area here.</p>
+            </div>
+          ) : (
+            <div className="border rounded-md divide-y">
+              {packs.map((pack) => {
+                const field = fields.find((f) => f.id === pack.fieldId)
+                return (
+                  <div key={pack.id} className="flex items-center justify-between gap-4 p-3">
+                    <div className="min-w-0">
+                      <h4 className="font-medium truncate">{pack.name}</h4>
+                      <p className="text-sm text-gray-600">
+                        {pack.source.name && `${pack.source.name} · `}
+                        Zoom {pack.minZoom}–{pack.maxZoom} · {pack.tileCount.toLocaleString()} tiles · {formatBytes(pack.bytes)}
+                        {' · '}
+                        Saved {new Date(pack.createdAt).toLocaleDateString()}
+                      </p>
+                      {field && (
+                        <Link to={`/fields/${field.id}`} className="text-sm text-green-700 hover:underline">
+                          {field.name}
+                        </Link>
+                      )}
+                      {pack.failedCount > 0 && (
+                        <p className="text-xs text-amber-700">{pack.failedCount} tiles could not be downloaded</p>
+                      )}
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="text-red-600 hover:text-red-700"
+                      onClick={() => setPackToDelete(pack)}
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Delete
+                    </Button>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <UploadSettings />
+
+      <HealthSettings fields={fields} />
+
+      <BasemapSourceDialog
+        open={newBasemapOpen}
+        onOpenChange={setNewBasemapOpen}
+        basemaps={basemaps}
+        onAdd={addCustom}
+      />
+
+      {newPackOpen && (
+        <OfflineMapDialog open={newPackOpen} onOpenChange={setNewPackOpen} onSaved={handleSaved} />
+      )}
+
+      <AlertDialog open={Boolean(packToDelete)} onOpenChange={(open) => !open && !deleting && setPackToDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {packToDelete?.name}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Its map tiles will no longer be available offline. Tiles shared with other offline maps are kept.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={deleting}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              className="bg-destructive text-white hover:bg-destructive/90"
+              onClick={handleDelete}
+              disabled={deleting}
+            >
+              {deleting ? 'Deleting...' : 'Delete'}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
+
+export default SettingsPage
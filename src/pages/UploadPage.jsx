@@ -0,0 +1,256 @@
+import { useState } from 'react'
+import { useOutletContext, useSearchParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx'
+import { Camera, CheckCircle, CloudOff, RefreshCw, RotateCw, Upload } from 'lucide-react'
+import UploadDropzone from '@/components/UploadDropzone.jsx'
+import CameraCapture from '@/components/CameraCapture.jsx'
+import UploadQueue from '@/components/UploadQueue.jsx'
+import UploadItemEditor from '@/components/UploadItemEditor.jsx'
+import AnalysisResult from '@/components/AnalysisResult.jsx'
+import { useOnline } from '@/hooks/use-online'
+import { requestCompassPermission } from '@/hooks/use-compass-heading'
+import { readExif } from '@/lib/exif'
+import { formatBytes } from '@/lib/format'
+import { IMAGE_PROCESSING_SUPPORTED, getImageOptions, processImage } from '@/lib/image-processing'
+import { canUpload, locateItem, toLocalInputValue } from '@/lib/upload'
+import { EDITABLE_STATUSES } from '@/lib/upload-queue'
+
+// Upload Tab
+// `?field=<id>` preselects the field, e.g. from the Upload button on a field card.
+// Dropped photos are read for EXIF coordinates and capture time; photos taken
+// with the in-app camera carry the device position instead. Each is matched to
+// the field containing it, shrunk as set in Settings, and uploaded a few at a
+// time through the queue kept by DashboardLayout. Uploads made offline wait in
+// an IndexedDB outbox and are sent automatically once the connection returns.
+function UploadPage() {
+  const [searchParams] = useSearchParams()
+  const { fields, reload, uploadQueue } = useOutletContext()
+  const { items, add, update, remove, enqueue, sync, clearFinished } = uploadQueue
+  const online = useOnline()
+  const [selectedId, setSelectedId] = useState(null)
+  const [cameraOpen, setCameraOpen] = useState(false)
+  const defaultFieldId = searchParams.get('field') || ''
+  const cameraSupported = Boolean(navigator.mediaDevices?.getUserMedia)
+
+  // Field from the photo's position, then the shrunk copy to upload
+  const prepare = async (item, { latitude, longitude, orientation = 1, ...details }) => {
+    const changes = { fieldId: defaultFieldId, ...details }
+    if (latitude != null) {
+      Object.assign(changes, locateItem({ ...item, ...changes }, latitude.toFixed(6), longitude.toFixed(6), fields))
+    }
+    const imageOptions = getImageOptions()
+    if (imageOptions.enabled && IMAGE_PROCESSING_SUPPORTED) {
+      try {
+        const { file, ...dimensions } = await processImage(item.file, { ...imageOptions, orientation })
+        Object.assign(changes, { file, total: file.size, originalSize: item.file.size, dimensions })
+      } catch (err) {
+        console.warn(`Could not shrink ${item.file.name}:`, err)
+        changes.processingError = 'Could not shrink this photo; the original will be uploaded'
+      }
+    }
+    return changes
+  }
+
+  const prepareItem = async (item) => {
+    const exif = await readExif(item.file)
+    return prepare(item, {
+      latitude: exif.latitude,
+      longitude: exif.longitude,
+      orientation: exif.orientation,
+      locationSource: exif.latitude != null ? 'exif' : 'missing',
+      capturedAt: exif.capturedAt ? toLocalInputValue(exif.capturedAt) : '',
+      altitude: exif.altitude,
+      direction: exif.direction,
+    })
+  }
+
+  const handleFiles = (files) => {
+    add(files, prepareItem)
+  }
+
+  const handleCapture = (shot) => {
+    add([shot.file], (item) => prepare(item, {
+      latitude: shot.latitude,
+      longitude: shot.longitude,
+      locationSource: shot.latitude != null ? 'device' : 'missing',
+      capturedAt: toLocalInputValue(shot.capturedAt),
+      altitude: shot.altitude,
+      direction: shot.heading,
+    }))
+  }
+
+  const openCamera = () => {
+    requestCompassPermission()
+    setCameraOpen(true)
+  }
+
+  const ready = items.filter((item) => item.status === 'ready' && canUpload(item, fields))
+  const needsAttention = items.filter((item) => item.status === 'ready' && !canUpload(item, fields))
+  const failed = items.filter((item) => item.status === 'failed')
+  const inProgress = items.filter((item) => ['reading', 'queued', 'uploading'].includes(item.status))
+  const waiting = items.filter((item) => item.status === 'waiting')
+  const done = items.filter((item) => item.status === 'done')
+  // Once everything is uploaded the latest result is shown without a click
+  const selectedItem = items.find((item) => item.id === selectedId) ||
+    (done.length > 0 && done.length === items.length ? done[done.length - 1] : undefined)
+  const selectedEditable = selectedItem && EDITABLE_STATUSES.includes(selectedItem.status)
+
+  // Failed items that now have a problem are opened for editing instead
+  const handleRetry = (id) => {
+    const item = items.find((i) => i.id === id)
+    if (item && canUpload(item, fields)) {
+      enqueue([id])
+    } else {
+      setSelectedId(id)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Upload Crop Images</CardTitle>
+        <CardDescription>
+          Upload images of your crops for AI-powered health analysis. Locations are read from each photo.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {(!online || waiting.length > 0) && (
+          <Alert>
+            <CloudOff className="h-4 w-4" />
+            <AlertDescription className="flex flex-wrap items-center justify-between gap-2">
+              <span>
+                {online ? '' : 'You are offline. '}
+                {waiting.length > 0
+                  ? `${waiting.length} upload${waiting.length === 1 ? ' is' : 's are'} saved on this device and will be sent when the connection returns.`
+                  : 'Uploads will be saved on this device and sent when the connection returns.'}
+              </span>
+              {online && waiting.length > 0 && (
+                <Button variant="outline" size="sm" onClick={sync}>
+                  <RefreshCw className="h-4 w-4 mr-1" />
+                  Sync Now
+                </Button>
+              )}
+            </AlertDescription>
+          </Alert>
+        )}
+        <UploadDropzone onFiles={handleFiles} disabled={fields.length === 0} />
+        {cameraSupported && (
+          <Button variant="outline" className="w-full" onClick={openCamera} disabled={fields.length === 0}>
+            <Camera className="h-4 w-4 mr-2" />
+            Take Photos
+          </Button>
+        )}
+        {cameraOpen && (
+          <CameraCapture open={cameraOpen} onOpenChange={setCameraOpen} fields={fields} onCapture={handleCapture} />
+        )}
+        {fields.length === 0 && (
+          <p className="text-sm text-gray-600">Create a field before uploading images.</p>
+        )}
+
+        {items.length > 0 && (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-600 mr-auto">
+                {items.length} file{items.length === 1 ? '' : 's'}
+                {ready.length > 0 && ` · ${ready.length} ready`}
+                {needsAttention.length > 0 && ` · ${needsAttention.length} need attention`}
+                {inProgress.length > 0 && ` · ${inProgress.length} in progress`}
+                {done.length > 0 && ` · ${done.length} uploaded`}
+                {waiting.length > 0 && ` · ${waiting.length} pending sync`}
+                {failed.length > 0 && ` · ${failed.length} failed`}
+              </span>
+              {failed.length > 0 && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => enqueue(failed.filter((item) => canUpload(item, fields)).map((item) => item.id))}
+                >
+                  <RotateCw className="h-4 w-4 mr-1" />
+                  Retry Failed
+                </Button>
+              )}
+              {done.length > 0 && (
+                <Button variant="outline" size="sm" onClick={clearFinished}>
+                  Clear Uploaded
+                </Button>
+              )}
+              <Button size="sm" onClick={() => enqueue(ready.map((item) => item.id))} disabled={ready.length === 0}>
+                <Upload className="h-4 w-4 mr-1" />
+                {ready.length > 0 ? `Upload ${ready.length} Ready` : 'Upload Ready'}
+              </Button>
+            </div>
+
+            {done.length === items.length && (
+              <Alert>
+                <CheckCircle className="h-4 w-4" />
+                <AlertDescription>
+                  {done.length === 1 ? 'Image uploaded successfully!' : `All ${done.length} images uploaded successfully!`}
+                  {done.length > 1 && ' Select a photo to see its analysis.'}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <UploadQueue
+                items={items}
+                fields={fields}
+                selectedId={selectedId}
+                onSelect={setSelectedId}
+                onRetry={handleRetry}
+                onRemove={remove}
+              />
+              {selectedItem ? (
+                <div className="space-y-4">
+                  <div className="flex items-center gap-3">
+                    <img src={selectedItem.previewUrl} alt="" className="h-16 w-16 rounded object-cover bg-gray-100" />
+                    <div className="min-w-0">
+                      <h3 className="font-semibold truncate">{selectedItem.file.name}</h3>
+                      {selectedItem.dimensions && (
+                        <p className="text-sm text-gray-600">
+                          {selectedItem.dimensions.originalWidth} × {selectedItem.dimensions.originalHeight}, {formatBytes(selectedItem.originalSize)}
+                          {' → '}
+                          {selectedItem.dimensions.width} × {selectedItem.dimensions.height}, {formatBytes(selectedItem.file.size)}
+                        </p>
+                      )}
+                      {!selectedEditable && selectedItem.status !== 'done' && (
+                        <p className="text-sm text-gray-600">Photos cannot be edited while they are uploading.</p>
+                      )}
+                    </div>
+                  </div>
+                  {selectedItem.status === 'done' ? (
+                    <AnalysisResult
+                      key={selectedItem.id}
+                      image={selectedItem.result?.image}
+                      previewUrl={selectedItem.previewUrl}
+                      field={fields.find((f) => String(f.id) === selectedItem.fieldId)}
+                      onComplete={(image) => {
+                        update(selectedItem.id, { result: { ...selectedItem.result, image } })
+                        reload()
+                      }}
+                    />
+                  ) : (
+                    <UploadItemEditor
+                      key={selectedItem.id}
+                      item={selectedItem}
+                      fields={fields}
+                      onChange={(changes) => update(selectedItem.id, changes)}
+                      disabled={!selectedEditable}
+                    />
+                  )}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-600">
+                  Select a photo to check its location, field and capture time, or to see its analysis once uploaded.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default UploadPage
@@ -1,11 +1,80 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 import path from 'path'
+import { API_CACHE, TILE_CACHE } from './src/lib/cache-names.js'
+
+const DAY_SECONDS = 24 * 60 * 60
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [
+    react(),
+    tailwindcss(),
+    VitePWA({
+      // The app asks before activating a new build; see PwaUpdatePrompt
+      registerType: 'prompt',
+      manifest: {
+        name: 'CropHealth AI+',
+        short_name: 'CropHealth',
+        description: 'Smart crop monitoring: map fields, upload photos and track crop stress.',
+        theme_color: '#16a34a',
+        background_color: '#f9fafb',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        navigateFallback: 'index.html',
+        // config.json must always come from the server
+        navigateFallbackDenylist: [/^\/api\//, /^\/config\.json$/],
+        runtimeCaching: [
+          {
+            // Profile, field list and stats, for viewing the dashboard
+            // offline. The API may live on another origin, so match on the
+            // path only.
+            urlPattern: ({ url, request }) => request.method === 'GET' &&
+              /\/(profile|fields|stats|field\/\d+\/stats)$/.test(url.pathname),
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: API_CACHE,
+              networkTimeoutSeconds: 5,
+              expiration: { maxEntries: 100, maxAgeSeconds: 7 * DAY_SECONDS },
+              cacheableResponse: { statuses: [200] },
+            },
+          },
+          {
+            // Basemap tiles from any source: z/x/y style paths, or WMS
+            // requests by bounding box
+            urlPattern: ({ url, request }) => request.destination === 'image' &&
+              url.origin !== self.location.origin &&
+              (/\/\d+\/\d+\/\d+(\.\w+)?$/.test(url.pathname) || /[?&]bbox=/i.test(url.search)),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: TILE_CACHE,
+              expiration: { maxEntries: 2000, maxAgeSeconds: 30 * DAY_SECONDS },
+              cacheableResponse: { statuses: [0, 200] },
+              plugins: [
+                {
+                  // Fall back to tiles saved in offline packs (src/lib/tiles.js).
+                  // This is copied into sw.js as source, so the cache name
+                  // has to be a literal matching TILE_PACK_CACHE.
+                  cachedResponseWillBeUsed: async ({ cachedResponse, request }) =>
+                    cachedResponse || caches.match(request.url, { cacheName: 'tile-packs' }),
+                },
+              ],
+            },
+          },
+        ],
+      },
+    }),
+  ],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),